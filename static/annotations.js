@@ -0,0 +1,59 @@
+// --- BOOKMARK ANNOTATIONS ---
+// Tags (tags.js) and notes (notes.js) are each one map of bookmark ID -> value in chrome.storage.local.
+// This is the storage they share, and the one queue every change to either map runs on in the background.
+// Shared by the popup and the background service worker. Depends on common.js and search.js.
+
+/**
+ * @param {string} key - The map's chrome.storage.local key.
+ * @returns {Promise<Object<string, *>>} - Bookmark ID -> value.
+ */
+async function getAnnotationMap(key) {
+    const result = await getLocalStorageAsync([key]);
+    return result[key] || {};
+}
+
+async function setAnnotationMap(key, map) {
+    await setLocalStorageAsync({ [key]: map });
+}
+
+// Every change reads a whole map and writes it back, so changes run one after another
+let annotationQueue = Promise.resolve();
+
+/**
+ * Runs a task that changes a map once the ones queued before it have finished.
+ * @returns {Promise<*>} - The task's result.
+ */
+function queueAnnotationTask(task) {
+    const run = annotationQueue.then(task);
+    annotationQueue = run.catch(() => {}); // A failed task doesn't hold up the next one
+    return run;
+}
+
+/**
+ * Changes a map on the queue. `change` edits the map in place and returns whether (or how much) it changed;
+ * the map is only written back when that is truthy.
+ * @returns {Promise<*>} - What `change` returned.
+ */
+function updateAnnotationMap(key, change) {
+    return queueAnnotationTask(async () => {
+        const map = await getAnnotationMap(key);
+        const changed = change(map);
+        if (changed) await setAnnotationMap(key, map);
+        return changed;
+    });
+}
+
+/**
+ * Drops the entries of bookmarks that are no longer in the tree, e.g. everything inside a deleted folder.
+ * @returns {Promise<number>} - How many entries were dropped.
+ */
+function pruneAnnotationMap(key) {
+    return queueAnnotationTask(async () => {
+        const [existingIds, map] = await Promise.all([getAllBookmarkIds(), getAnnotationMap(key)]);
+        const staleIds = Object.keys(map).filter(id => !existingIds.has(id));
+        if (staleIds.length === 0) return 0;
+        staleIds.forEach(id => delete map[id]);
+        await setAnnotationMap(key, map);
+        return staleIds.length;
+    });
+}
@@ -1,77 +1,355 @@
-// Function to save the bookmark to the default folder without opening popup
-function saveBookmarkBG() {
-    chrome.storage.sync.get(['defaultFolderId'], function(result) {
-        const defaultFolderId = result.defaultFolderId;
-
-        if (defaultFolderId) {
-            chrome.tabs.query({ 'currentWindow': true, 'highlighted': true }, function(tabs) {
-                // Check if there are any highlighted tabs
-                if (tabs && tabs.length > 0) {
-                    // Iterate through the highlighted tabs
-                    tabs.forEach(function(tab) {
-                        // Create a new bookmark object
-                        var bookmark = {
-                            parentId: defaultFolderId,
-                            title: tab.title,
-                            url: tab.url
-                        };
-        
-                        // Save the bookmark using Chrome's bookmarks API
-                        chrome.bookmarks.create(bookmark, function(result) {
-                            // log result
-                           console.log('Bookmark saved:', result);
-                        });
-                    });
-                }
-            });
-        }
+// Shared helpers (promisified APIs, settings, tags, notes, trash bin, search, title rules, folder management, folder sorting, snapshots, folder index, filing rules, save slots, sessions, Open All,
+// omnibox), the bookmark engine and the context menus built on it
+importScripts('common.js', 'settings.js', 'annotations.js', 'tags.js', 'notes.js', 'trash.js', 'query.js', 'titles.js', 'search.js', 'folders.js', 'sorter.js', 'snapshots.js', 'duplicates.js', 'folderindex.js', 'filing.js', 'slots.js', 'sessions.js', 'opener.js', 'omnibox.js', 'engine.js', 'menus.js');
+
+// Shows the outcome of a keyboard shortcut or omnibox command, since there is no popup to show it in.
+// Reuses one notification ID so repeated presses replace the previous notice instead of stacking up.
+function showNotice(title, message) {
+    chrome.notifications.create('bookmark-shortcut', {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('happy.png'),
+        title,
+        message
     });
 }
 
-// Function to save the bookmark to the selected folder
-function deleteBookmarkBG() {
-    chrome.storage.sync.get(['defaultFolderId'], function(result) {
-        const defaultFolderId = result.defaultFolderId;
-
-        if (defaultFolderId) {
-            chrome.tabs.query({ 'currentWindow': true, 'highlighted': true }, function(tabs) {
-                // Check if there are any highlighted tabs
-                if (tabs && tabs.length > 0) {
-                    // Iterate through the highlighted tabs
-                    tabs.forEach(function(tab) {
-                        // Create a new bookmark object
-                        var bookmark = {
-                            parentId: defaultFolderId,
-                            title: tab.title,
-                            url: tab.url
-                        };
-
-                        // Delete the bookmark
-                        chrome.bookmarks.search({url: bookmark.url }, function(results) {
-                            if (results.length > 0) {
-                                lastBookmarked = results.pop();
-                                chrome.bookmarks.remove(lastBookmarked.id, function() {
-                                console.log('Bookmark removed:', bookmark);
-                                });
-                            }
-                        });
-                    });
-                }
-            });
-        }
-    });
+// Function to save the highlighted tabs without opening popup.
+// Each tab goes to the folder its filing rule picks, or to the default folder if none matches.
+async function saveBookmarkBG() {
+    const { defaultFolderId } = await getStorageAsync(['defaultFolderId']);
+    const result = await fileTabs({ fallbackFolderId: defaultFolderId || null });
+    console.log('Save shortcut result:', result);
+    showNotice(result.saved > 0 ? "Bookmarks saved" : "Nothing saved",
+        summarizeFilingResult(result) || "No tabs to save.");
+}
+
+// Function to delete the active tab's bookmark without opening popup.
+// Each press removes one copy: the default folder's first, then the other folders in folder-list order.
+async function deleteBookmarkBG() {
+    const [activeTab] = await queryTabsAsync({ active: true, currentWindow: true });
+    if (!activeTab || !isBookmarkableUrl(activeTab.url, await getSettings())) {
+        showNotice("Nothing to delete", "This page can't be bookmarked.");
+        return;
+    }
+
+    const { defaultFolderId } = await getStorageAsync(['defaultFolderId']);
+    const result = await deleteFromNextLocation({ url: activeTab.url, defaultFolderId });
+    console.log('Delete shortcut result:', result);
+    if (!result.folderTitle) {
+        showNotice("Nothing to delete", "This page isn't bookmarked.");
+    } else if (result.remaining.length > 0) {
+        showNotice(`Deleted from '${result.folderTitle}'`,
+            `Still saved in ${result.remaining.length} folder(s). Press again to delete from '${result.remaining[0]}'.`);
+    } else {
+        showNotice(`Deleted from '${result.folderTitle}'`, "No other copies left. Restore it from the Trash if needed.");
+    }
+}
+
+// --- QUICK-SAVE SLOTS ---
+// Slot commands are named save-to-slot-N and move-to-slot-N (see manifest.json)
+const SLOT_COMMAND_PATTERN = /^(save|move)-to-slot-(\d+)$/;
+
+// Returns the slot's folder ID, or null (after telling the user why) if the slot is empty or its folder is gone
+async function getSlotFolderId(slot) {
+    const { name, folderId } = await getSaveSlot(slot);
+    if (!folderId) {
+        showNotice(`${name} is empty`, "Assign it a folder under Quick-save slots in the popup.");
+        return null;
+    }
+    const folderIndex = await loadFolderIndex();
+    if (!folderIndex[folderId]) {
+        showNotice(`${name}'s folder was deleted`, "Assign it a new folder under Quick-save slots in the popup.");
+        return null;
+    }
+    return folderId;
+}
+
+// Saves the highlighted tabs to a slot's folder (filing rules don't apply: the slot is an explicit choice)
+async function saveToSlotBG(slot) {
+    const folderId = await getSlotFolderId(slot);
+    if (!folderId) return;
+    const result = await saveTabsToFolder({ folderId });
+    console.log(`Save to slot ${slot} result:`, result);
+
+    let message = `${result.saved} saved.`;
+    if (result.alreadyExisted > 0) message += ` ${result.alreadyExisted} already there.`;
+    if (result.invalid + result.failed > 0) message += ` ${result.invalid + result.failed} couldn't be saved.`;
+    showNotice(`Saved to '${result.folderTitle}'`, message);
+}
+
+// Moves the highlighted tabs' bookmarks into a slot's folder, saving pages that aren't bookmarked yet
+async function moveToSlotBG(slot) {
+    const folderId = await getSlotFolderId(slot);
+    if (!folderId) return;
+    const { defaultFolderId } = await getStorageAsync(['defaultFolderId']);
+    const result = await moveTabsIntoFolder({ folderId, defaultFolderId });
+    console.log(`Move to slot ${slot} result:`, result);
+
+    let message = `${result.moved} moved.`;
+    if (result.created > 0) message += ` ${result.created} newly saved.`;
+    if (result.alreadyThere > 0) message += ` ${result.alreadyThere} already there.`;
+    if (result.invalid + result.failed > 0) message += ` ${result.invalid + result.failed} couldn't be moved.`;
+    showNotice(`Moved to '${result.folderTitle}'`, message);
 }
 
 chrome.commands.onCommand.addListener(function(command) {
+    const handleError = (error) => {
+        console.error(`Command '${command}' failed:`, error.message);
+        showNotice("Shortcut failed", error.message);
+    };
+    const slotCommand = command.match(SLOT_COMMAND_PATTERN);
     if (command === "save-bookmark") {
-        saveBookmarkBG();
+        saveBookmarkBG().catch(handleError);
     }
     else if (command === "delete-bookmark"){
-        deleteBookmarkBG();
+        deleteBookmarkBG().catch(handleError);
+    }
+    else if (slotCommand) {
+        const slot = Number(slotCommand[2]);
+        (slotCommand[1] === 'save' ? saveToSlotBG(slot) : moveToSlotBG(slot)).catch(handleError);
     }
 });
 
-// Listen for messages from content scripts or other parts of the extension
+// --- OMNIBOX ("bm" keyword, see omnibox.js) ---
+chrome.omnibox.setDefaultSuggestion({
+    description: 'Search bookmarks for <match>%s</match>, or type "save &lt;folder&gt;" to save this tab'
+});
+
+// Choosing a suggestion enters its content, so these tell a chosen bookmark from a typed query
+let lastOmniboxSuggestionUrls = new Set();
+
+chrome.omnibox.onInputChanged.addListener((text, suggest) => {
+    listFolders()
+        .then(flatFolderList => getOmniboxSuggestions(text, flatFolderList))
+        .then(suggestions => {
+            lastOmniboxSuggestionUrls = new Set(suggestions.map(suggestion => suggestion.content));
+            suggest(suggestions);
+        })
+        .catch(error => {
+            // Half-typed queries are often invalid (e.g. an unclosed quote); just offer nothing
+            if (!error.isQuerySyntaxError) console.error("Omnibox suggestions failed:", error.message);
+            lastOmniboxSuggestionUrls = new Set();
+            suggest([]);
+        });
+});
+
+// Opens a URL where the user asked for it (Enter, Alt+Enter, or a modified click on a suggestion).
+// With no active tab to reuse (e.g. no focused window), the current-tab choice opens a new tab instead.
+async function openFromOmnibox(url, disposition) {
+    const [activeTab] = disposition === 'currentTab' ? await queryTabsAsync({ active: true, currentWindow: true }) : [];
+    if (activeTab) {
+        await updateTabAsync(activeTab.id, { url });
+    } else {
+        await createTabAsync({ url, active: disposition !== 'newBackgroundTab' });
+    }
+}
+
+async function handleOmniboxEntered(text, disposition) {
+    const folderText = parseOmniboxSave(text);
+    if (folderText !== null) {
+        if (!folderText) {
+            showNotice("Which folder?", "Type a folder name after 'bm save'.");
+            return;
+        }
+        const [folder] = findFoldersByPrefix(await listFolders(), folderText);
+        if (!folder) {
+            showNotice("No such folder", `No folder matches '${folderText}'.`);
+            return;
+        }
+        const [activeTab] = await queryTabsAsync({ active: true, currentWindow: true });
+        if (!activeTab) {
+            showNotice("Nothing to save", "There is no active tab to save.");
+            return;
+        }
+        const result = await saveTabsToFolder({ folderId: folder.id, tabs: [{ url: activeTab.url, title: activeTab.title }] });
+        if (result.saved > 0) showNotice(`Saved to '${result.folderTitle}'`, folder.path);
+        else if (result.alreadyExisted > 0) showNotice(`Already in '${result.folderTitle}'`, folder.path);
+        else showNotice("Nothing saved", "This page can't be bookmarked.");
+        return;
+    }
+
+    // A chosen suggestion or a typed address opens as is; anything else, operators included, opens the best match
+    if (isOmniboxUrl(text.trim(), lastOmniboxSuggestionUrls)) {
+        await openFromOmnibox(text.trim(), disposition);
+        return;
+    }
+    const [bestMatch] = await searchBookmarkTree(text, { rootId: null });
+    if (!bestMatch) {
+        showNotice("No bookmarks found", `Nothing matches '${text}'.`);
+        return;
+    }
+    await openFromOmnibox(bestMatch.url, disposition);
+}
+
+chrome.omnibox.onInputEntered.addListener((text, disposition) => {
+    handleOmniboxEntered(text, disposition).catch(error => {
+        console.error("Omnibox command failed:", error.message);
+        showNotice("Bookmark search failed", error.message);
+    });
+});
+
+// --- FOLDER INDEX MAINTENANCE ---
+// Updates run one at a time, so two events arriving together can't overwrite each other's changes
+let folderIndexQueue = Promise.resolve();
+let isImportingBookmarks = false; // Chrome's own import fires thousands of events; rebuild once at the end instead
+
+function queueFolderIndexTask(task) {
+    folderIndexQueue = folderIndexQueue.then(task).catch(error => {
+        console.error("Folder index update failed, rebuilding:", error.message);
+        return rebuildFolderIndex();
+    });
+    return folderIndexQueue;
+}
+
+// Applies one incremental change and saves the index if it changed
+function updateFolderIndex(applyChange) {
+    if (isImportingBookmarks) return;
+    queueFolderIndexTask(async () => {
+        const nodes = await loadFolderIndex();
+        if (applyChange(nodes)) await persistFolderIndex(nodes);
+    });
+}
+
+chrome.bookmarks.onCreated.addListener((id, node) => updateFolderIndex(nodes => applyFolderCreated(nodes, node)));
+chrome.bookmarks.onRemoved.addListener((id, removeInfo) => updateFolderIndex(nodes => applyFolderRemoved(nodes, id)));
+chrome.bookmarks.onMoved.addListener((id, moveInfo) => updateFolderIndex(nodes => applyFolderMoved(nodes, id, moveInfo.parentId)));
+chrome.bookmarks.onChanged.addListener((id, changeInfo) => updateFolderIndex(nodes => applyFolderChanged(nodes, id, changeInfo.title)));
+chrome.bookmarks.onImportBegan.addListener(() => { isImportingBookmarks = true; });
+chrome.bookmarks.onImportEnded.addListener(() => {
+    isImportingBookmarks = false;
+    queueFolderIndexTask(rebuildFolderIndex);
+});
+
+// Events are missed while the extension is disabled or being updated, so start from a fresh walk
+chrome.runtime.onInstalled.addListener(function() {
+    queueFolderIndexTask(rebuildFolderIndex).then(rebuildContextMenus);
+    removeLocalStorageAsync('cachedFolderTimestamp'); // Left over from the old time-based cache
+});
+
+chrome.runtime.onStartup.addListener(function() {
+    queueFolderIndexTask(rebuildFolderIndex).then(rebuildContextMenus);
+    // Drop trash entries past their retention period whenever the browser starts
+    purgeExpiredTrash();
+});
+
+// --- CONTEXT MENUS (see menus.js) ---
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    handleContextMenuClick(info, tab)
+        .then(result => {
+            if (!result) return;
+            if (result.saved > 0) showNotice(`Saved to '${result.folderTitle}'`, info.linkUrl || info.pageUrl);
+            else if (result.alreadyExisted > 0) showNotice(`Already in '${result.folderTitle}'`, info.linkUrl || info.pageUrl);
+            else showNotice("Nothing saved", "This address can't be bookmarked.");
+        })
+        .catch(error => {
+            console.error("Context menu save failed:", error.message);
+            showNotice("Save failed", error.message);
+        });
+});
+
+// Menu titles follow the folder names, the default folder and the recent folders
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    const foldersChanged = areaName === 'local' && changes[CACHE_KEY_FOLDERS];
+    const choicesChanged = areaName === 'sync' && (changes.defaultFolderId || changes[RECENT_FOLDERS_KEY]);
+    if (foldersChanged || choicesChanged) rebuildContextMenus();
+});
+
+// --- TAGS AND NOTES ---
+// Tags and notes of removed bookmarks are dropped (the trash has already copied them). Moves keep the bookmark ID,
+// so they need nothing on onMoved. A removed folder's contents aren't listed, so those are pruned against the tree.
+// Cleanups run on the same queue as every other tag and note change (see annotations.js).
+chrome.bookmarks.onRemoved.addListener((id, removeInfo) => {
+    const cleanup = removeInfo.node && removeInfo.node.url
+        ? [setBookmarkTags(id, []), setBookmarkNote(id, '')]
+        : [pruneBookmarkTags(), pruneBookmarkNotes()];
+    Promise.all(cleanup).catch(error => console.error("Error cleaning up tags and notes:", error.message));
+});
+
+// --- SESSIONS ---
+// A deleted session folder's tab groups are no use to anyone, nor are those of sessions inside a deleted folder
+chrome.bookmarks.onRemoved.addListener((id, removeInfo) => {
+    forgetSessions(removeInfo.node || { id }).catch(error => console.error("Error forgetting session:", error.message));
+});
+
+// --- OPEN ALL ---
+// One Open All runs at a time; the popup can cancel it between batches
+let openAllJob = null;
+
+async function handleOpenAll(request) {
+    if (openAllJob) throw new Error("Already opening bookmarks. Wait for it to finish or cancel it.");
+    const job = { cancelled: false };
+    openAllJob = job;
+    try {
+        return await openUrls({
+            urls: request.urls,
+            title: request.title,
+            windowId: request.windowId,
+            options: await getOpenAllOptions(),
+            // The popup may have closed; nobody listening is fine
+            onProgress: progress => chrome.runtime.sendMessage({ type: 'openAllProgress', ...progress }, () => void chrome.runtime.lastError),
+            isCancelled: () => job.cancelled
+        });
+    } finally {
+        openAllJob = null;
+    }
+}
+
+function cancelOpenAll() {
+    if (!openAllJob) return false;
+    openAllJob.cancelled = true;
+    return true;
+}
+
+// --- MESSAGE API ---
+// Request types and payloads are documented in engine.js
+const REQUEST_HANDLERS = {
+    save: saveTabsToFolder,
+    file: fileTabs,
+    move: request => (request.bookmarkIds ? moveBookmarksById(request) : moveTabsBookmarks(request)),
+    delete: request => (request.bookmarkIds ? deleteBookmarksById(request) : deleteTabsBookmarks(request)),
+    search: searchBookmarks,
+    // Rebuilds go through the queue so they can't interleave with event updates
+    listFolders: request => (request.refresh ? queueFolderIndexTask(rebuildFolderIndex) : listFolders(request)),
+    getLocations: getBookmarkLocations,
+    // Restoring runs here rather than in the popup, which closes as soon as the new window takes focus
+    saveSession: saveSession,
+    restoreSession: request => restoreSession(request.folderId),
+    openAll: handleOpenAll,
+    cancelOpenAll: cancelOpenAll,
+    // Trash changes run here, queued one at a time (see queueTrashTask() in trash.js), so they finish if the popup closes
+    restoreTrash: request => restoreFromTrash(request.trashIds),
+    purgeTrash: request => purgeFromTrash(request.trashIds),
+    emptyTrash: emptyTrash,
+    purgeExpiredTrash: purgeExpiredTrash,
+    // Tag and note changes run here, queued one at a time with the cleanups above (see annotations.js)
+    addTags: request => (request.tagsById ? addTagsByBookmark(request.tagsById) : addBookmarkTags(request.bookmarkIds, request.tags)),
+    removeTags: request => removeBookmarkTags(request.bookmarkIds, request.tags),
+    setNote: request => setBookmarkNote(request.bookmarkId, request.text),
+    deleteFolder: request => deleteFolder(request.folderId),
+    mergeFolders: request => mergeFolders(request.sourceId, request.targetId),
+    // Long runs of moves and renames go here too, so closing the popup can't stop them halfway
+    sortFolder: request => sortFolder(request.folderId, request.options),
+    revertFolderSort: revertLastFolderSort,
+    restoreSnapshot: request => restoreSnapshot(request.snapshotId),
+    cleanUpTitles: request => cleanUpFolderTitles(request.folderId, request.options)
+};
+
+// Listen for messages from content scripts or other parts of the extension.
+// Requests are {type, ...}; responses are {ok: true, result} or {ok: false, error}.
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     console.log(message); // Log the message received
+
+    const handler = message && REQUEST_HANDLERS[message.type];
+    if (!handler) {
+        sendResponse({ ok: false, error: `Unknown request type '${message && message.type}'.` });
+        return;
+    }
+    Promise.resolve()
+        .then(() => handler(message))
+        .then(result => sendResponse({ ok: true, result }))
+        .catch(error => {
+            console.error(`Request '${message.type}' failed:`, error.message);
+            sendResponse({ ok: false, error: error.message, isQuerySyntaxError: !!error.isQuerySyntaxError });
+        });
+    return true; // Keep the channel open for the async response
 });
@@ -1,34 +1,5 @@
 // --- UTILITY FUNCTIONS ---
-function promisify(apiObject, methodNameString) {
-    return function(...args) {
-        return new Promise((resolve, reject) => {
-            // Ensure the function is called with the correct 'this' context
-            apiObject[methodNameString](...args, (result) => {
-                if (chrome.runtime.lastError) {
-                    const errorMessage = `Chrome API Error in ${methodNameString}: ${chrome.runtime.lastError.message}`;
-                    console.error(errorMessage, chrome.runtime.lastError);
-                    const error = new Error(errorMessage);
-                    error.chromeErrorDetails = chrome.runtime.lastError; // Attach original error details
-                    return reject(error);
-                }
-                resolve(result);
-            });
-        });
-    };
-}
-
-// Promisified Chrome APIs
-const getChildrenAsync = promisify(chrome.bookmarks, 'getChildren');
-const searchBookmarksAsync = promisify(chrome.bookmarks, 'search');
-const createBookmarkAsync = promisify(chrome.bookmarks, 'create');
-const removeBookmarkAsync = promisify(chrome.bookmarks, 'remove');
-const moveBookmarkAsync = promisify(chrome.bookmarks, 'move');
-const getTreeAsync = promisify(chrome.bookmarks, 'getTree');
-const queryTabsAsync = promisify(chrome.tabs, 'query');
-const getStorageAsync = promisify(chrome.storage.sync, 'get');
-const setStorageAsync = promisify(chrome.storage.sync, 'set');
-const getLocalStorageAsync = promisify(chrome.storage.local, 'get');
-const setLocalStorageAsync = promisify(chrome.storage.local, 'set');
+// promisify() and the promisified Chrome APIs live in common.js
 
 // Helper function to display user feedback
 function showFeedback(message, isError = false, duration = 3000) {
@@ -51,183 +22,147 @@ function showFeedback(message, isError = false, duration = 3000) {
     else console.log("Feedback (Success):", message);
 }
 
-// --- CACHING CONSTANTS ---
-const CACHE_KEY_FOLDERS = 'cachedFolderHierarchy';
-const CACHE_KEY_TIMESTAMP = 'cachedFolderTimestamp';
-const CACHE_DURATION_MS = 30 * 60 * 1000; // 30 minutes cache duration
+// Escapes text for safe use inside innerHTML strings (bookmark titles can contain markup)
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// --- SEARCH SCOPES (values of the 'searchScope' dropdown) ---
+const SEARCH_SCOPE_FOLDER = 'folder';   // Selected folder only
+const SEARCH_SCOPE_SUBTREE = 'subtree'; // Selected folder and all its subfolders
+const SEARCH_SCOPE_ALL = 'all';         // Every folder
+
+// --- FOLDER HIERARCHY ---
+// The folder list is maintained by the background service worker (see folderindex.js),
+// so it is always current and never needs re-walking on open.
 
 // --- CORE BOOKMARK LOGIC ---
 let foldersLoaded = false; // Flag indicating if the main folder list has been loaded
-let globalFlatFolderList = null; // Stores the flat list of all folders {id, title, depth}
+let globalFlatFolderList = null; // Stores the flat list of all folders {id, title, depth, parentId}
 let globalFolderTitleMap = null; // Stores a Map of folder ID -> folder title for quick lookups
 let hasPopulatedBookmarkFolders = false; // Flag indicating if the second dropdown has been populated at least once
+let lastSearchResults = []; // Bookmarks listed by the last search, also offered in the Notes panel
+let currentSettings = DEFAULT_SETTINGS; // Options page settings (see settings.js), loaded when the popup opens
+let folderTree = null; // The main folder picker (see foldertree.js), created when the popup opens
+let folderPickedByUser = false; // A folder was clicked or chosen with the keys in the tree since the popup opened
+
+const sendMessageAsync = promisify(chrome.runtime, 'sendMessage');
 
 /**
- * Fetches the full bookmark folder hierarchy.
- * Uses chrome.bookmarks.getTree() for performance.
- * Implements caching using chrome.storage.local to avoid repeated slow fetches.
- * @param {boolean} forceRefresh - If true, bypasses cache and fetches fresh data.
- * @returns {Promise<Array<{id: string, title: string, depth: number}>>} - A promise resolving to the flat list of folders.
+ * Sends a request to the background bookmark engine (protocol documented in engine.js).
+ * @param {string} type - Request type, e.g. 'save'.
+ * @param {Object} [payload] - Request fields.
+ * @returns {Promise<any>} - The request's result; rejects with the engine's error
+ *          (carrying isQuerySyntaxError for bad search queries).
  */
-async function getFullFolderHierarchy(forceRefresh = false) {
-    // console.log(`%cgetFullFolderHierarchy CALLED. Force refresh: ${forceRefresh}`, 'color: blue; font-weight: bold;');
-    let perfStartTotal = performance.now();
+async function sendRequest(type, payload = {}) {
+    const response = await sendMessageAsync({ type, ...payload });
+    if (!response) throw new Error("No response from background.");
+    if (!response.ok) {
+        const error = new Error(response.error);
+        error.isQuerySyntaxError = !!response.isQuerySyntaxError;
+        throw error;
+    }
+    return response.result;
+}
+
+/**
+ * Sets the global folder list and the ID -> title map derived from it.
+ */
+function setGlobalFolderList(flatFolderList) {
+    globalFlatFolderList = flatFolderList || [];
+    globalFolderTitleMap = new Map(globalFlatFolderList.map(f => [f.id, f.title]));
+}
 
-    // Attempt to load from cache unless forceRefresh is true
+/**
+ * Fetches the full bookmark folder hierarchy from the folder index kept in chrome.storage.local
+ * by the background service worker, which updates it on every bookmark event.
+ * @param {boolean} forceRefresh - If true, has the background rebuild the index from a full tree walk first.
+ * @returns {Promise<Array<{id: string, title: string, depth: number, parentId: string}>>} - A promise resolving to the flat list of folders.
+ */
+async function getFullFolderHierarchy(forceRefresh = false) {
+    // Read the index unless a rebuild was requested
     if (!forceRefresh) {
         try {
-            const cachedData = await getLocalStorageAsync([CACHE_KEY_FOLDERS, CACHE_KEY_TIMESTAMP]);
-            const timestamp = cachedData[CACHE_KEY_TIMESTAMP];
-            const foldersFromCache = cachedData[CACHE_KEY_FOLDERS];
-            // console.log(`Cache check: timestamp = ${timestamp ? new Date(timestamp).toLocaleTimeString() : 'null'}, folders found = ${!!foldersFromCache}`);
-
-            // Check if cache exists and is within the valid duration
-            if (foldersFromCache && timestamp && (Date.now() - timestamp < CACHE_DURATION_MS)) {
-                // console.log("%cLoading folder hierarchy from VALID cache.", 'color: green;');
-                globalFlatFolderList = foldersFromCache;
-                // Populate the global map from the cached list
-                if (globalFlatFolderList && globalFlatFolderList.length > 0) {
-                    globalFolderTitleMap = new Map(globalFlatFolderList.map(f => [f.id, f.title]));
-                    // console.log("  Global folder title map CREATED/UPDATED from cache.");
-                } else {
-                    globalFolderTitleMap = new Map(); // Ensure it's initialized even if empty
-                }
-                // console.log(`getFullFolderHierarchy (total from cache) took ${performance.now() - perfStartTotal} ms.`);
-                return globalFlatFolderList; // Return cached data
-            } else if (foldersFromCache && timestamp) {
-                console.log("%cCache EXPIRED, proceeding to refresh.", 'color: orange;');
-            } else {
-                console.log("%cNo valid cache found, proceeding to refresh.", 'color: orange;');
+            const cachedData = await getLocalStorageAsync([CACHE_KEY_FOLDERS]);
+            if (cachedData[CACHE_KEY_FOLDERS]) {
+                setGlobalFolderList(cachedData[CACHE_KEY_FOLDERS]);
+                return globalFlatFolderList;
             }
+            console.log("%cNo folder index found, asking background to build it.", 'color: orange;');
         } catch (e) {
-            console.error("Error reading from cache, proceeding to refresh:", e);
+            console.error("Error reading folder index, proceeding to rebuild:", e);
         }
     } else {
          console.log("%cForce refresh requested by caller.", 'color: magenta; font-weight: bold;');
     }
 
-    // Cache miss, expiration, or forced refresh: Fetch fresh data
-    console.log("Fetching FRESH full bookmark folder hierarchy using getTree()...");
-    const allFoldersFlatList = []; // Array to hold the processed flat list
-
-    // Recursive helper to process the bookmark tree nodes
-    function processNodes(nodes, currentDepth) {
-        if (!nodes) return; // Base case or empty children array
-
-        // Ensure nodes is an array, filter out non-objects, and sort alphabetically by title
-        const sortedNodes = Array.isArray(nodes) ?
-            nodes.filter(node => typeof node === 'object' && node !== null)
-                 .sort((a, b) => (a.title || "").localeCompare(b.title || ""))
-            : [];
-
-        // Iterate through sorted nodes at the current level
-        for (const node of sortedNodes) {
-            // Check if it's a folder (no URL property and has a title)
-            if (!node.url && node.title) {
-                allFoldersFlatList.push({ id: node.id, title: node.title, depth: currentDepth });
-                // If the folder has children, recursively process them
-                if (node.children && node.children.length > 0) {
-                    processNodes(node.children, currentDepth + 1);
-                }
-            }
-        }
-    }
-
-    let perfStartGetTree = performance.now();
+    let perfStartRebuild = performance.now();
     try {
-        // Fetch the entire bookmark tree with a single API call
-        const bookmarkTreeNodes = await getTreeAsync();
-        console.log(`  chrome.bookmarks.getTree() call took ${performance.now() - perfStartGetTree} ms.`);
-
-        if (!bookmarkTreeNodes || bookmarkTreeNodes.length === 0) {
-            console.warn("  Bookmark tree is empty or could not be fetched.");
-            globalFlatFolderList = []; globalFolderTitleMap = new Map(); return []; // Return empty state
-        }
-
-        // Process the tree starting from the children of the root node (usually ID '0')
-        // let perfStartProcessNodes = performance.now();
-        if (bookmarkTreeNodes[0] && bookmarkTreeNodes[0].children) {
-            processNodes(bookmarkTreeNodes[0].children, 0); // Depth 0 for top-level display folders
-        } else {
-            console.warn("  Bookmark tree structure not as expected. Root children not found.");
-        }
-        // console.log(`  processNodes (sync traversal) took ${performance.now() - perfStartProcessNodes} ms.`);
-        
-        // Save the newly fetched flat list and timestamp to local storage cache
-        await setLocalStorageAsync({
-            [CACHE_KEY_FOLDERS]: allFoldersFlatList,
-            [CACHE_KEY_TIMESTAMP]: Date.now()
-        });
-        console.log("%cFresh folder hierarchy saved to cache.", 'color: purple; font-weight: bold;');
-        
-        // Update global variables with the fresh data
-        globalFlatFolderList = allFoldersFlatList;
-        if (globalFlatFolderList && globalFlatFolderList.length > 0) {
-            globalFolderTitleMap = new Map(globalFlatFolderList.map(f => [f.id, f.title]));
-            // console.log("  Global folder title map CREATED/UPDATED from fresh fetch.");
-        } else {
-            globalFolderTitleMap = new Map();
+        let flatFolderList;
+        try {
+            flatFolderList = await sendRequest('listFolders', { refresh: true });
+        } catch (messageError) {
+            // Service worker unavailable: build it here, the background keeps it updated from then on
+            console.warn("  Background rebuild failed, rebuilding in popup:", messageError.message);
+            flatFolderList = await rebuildFolderIndex();
         }
+        console.log(`  Folder index rebuild took ${performance.now() - perfStartRebuild} ms.`);
+        setGlobalFolderList(flatFolderList);
     } catch (error) {
         console.error("  Error fetching or processing bookmark tree:", error.message);
         showFeedback("Error loading folder hierarchy.", true);
-        // console.log(`getFullFolderHierarchy (total with error) took ${performance.now() - perfStartTotal} ms.`);
         // Ensure globals are in a consistent empty state on error
-        globalFlatFolderList = []; globalFolderTitleMap = new Map(); return [];
+        setGlobalFolderList([]);
     }
-    // console.log(`  Collected ${allFoldersFlatList.length} folders in total from the tree.`);
-    // console.log(`getFullFolderHierarchy (total fresh fetch) took ${performance.now() - perfStartTotal} ms.`);
-    return globalFlatFolderList; // Return the freshly fetched list
+    return globalFlatFolderList;
 }
 
 /**
- * Updates the main folder selection dropdown ('folderSelect') with the provided flat list.
- * @param {Array<{id: string, title: string, depth: number}>} flatFolderList - The list of folders to display.
+ * Keeps the dropdowns current when the background updates the folder index
+ * (folders created, renamed, moved or deleted anywhere, including Chrome's bookmark manager).
  */
-async function updateFolderSelect(flatFolderList) {
-    // let perfStartTotal = performance.now();
-    const select = document.getElementById('folderSelect');
-    select.innerHTML = ''; // Clear previous options
-    let optionsHTML = ''; // Build HTML string for better performance than appending nodes individually
+async function handleFolderIndexChange(changes, areaName) {
+    if (areaName !== 'local' || !changes[CACHE_KEY_FOLDERS] || !changes[CACHE_KEY_FOLDERS].newValue) return;
+    const selectedFolderId = folderTree.getSelected()?.id || null;
+
+    setGlobalFolderList(changes[CACHE_KEY_FOLDERS].newValue);
+    await updateFolderTree(globalFlatFolderList, selectedFolderId);
+    populateMergeTargetOptions();
+    if (isFilingPanelOpen()) await refreshFilingRuleList(); // Rule targets may have been renamed or deleted
+    await refreshSlotList(); // Slot folders too
+    hasPopulatedBookmarkFolders = false; // Folder titles in the second dropdown may be stale
+}
 
-    // let perfStartBuildHTML = performance.now();
-    if (!flatFolderList || flatFolderList.length === 0) {
-        optionsHTML = '<option value="" disabled selected>No folders found</option>';
-    } else {
-        // Generate <option> elements with indentation based on depth
-        flatFolderList.forEach(folder => {
-            const indent = ' '.repeat(folder.depth * 4); // 4 spaces per depth level
-            // Use data-title for filtering (lowercase, no indentation)
-            optionsHTML += `<option value="${folder.id}" data-title="${folder.title.toLowerCase()}">${indent}${folder.title}</option>`;
-        });
-    }
-    // console.log(`  updateFolderSelect: Building HTML string took ${performance.now() - perfStartBuildHTML} ms.`);
-    
-    // Set the innerHTML once
-    // let perfStartSetHTML = performance.now();
-    select.innerHTML = optionsHTML;
-    // console.log(`  updateFolderSelect: Setting innerHTML took ${performance.now() - perfStartSetHTML} ms.`);
-
-    // Attempt to select the default folder stored in sync storage
-    try {
-        const storageResult = await getStorageAsync(['defaultFolderId']);
-        const defaultFolderId = storageResult.defaultFolderId;
-        if (defaultFolderId) {
-            const defaultOption = select.querySelector(`option[value="${defaultFolderId}"]`);
-            if (defaultOption) {
-                defaultOption.selected = true; // Select the default option if found
-            } else {
-                 console.warn(`  Default folder ID ${defaultFolderId} not found in the dropdown (may have been deleted).`);
+/**
+ * Updates the main folder tree ('folderTree') with the provided flat list.
+ * @param {Array<{id: string, title: string, depth: number, parentId: string}>} flatFolderList - The list of folders to display.
+ * @param {string|null} folderIdToSelect - Folder to keep selected; the default folder is selected if omitted or gone.
+ */
+async function updateFolderTree(flatFolderList, folderIdToSelect = null) {
+    folderTree.setFolders(flatFolderList || []);
+
+    // Keep the caller's selection if it still exists
+    if (!folderIdToSelect || !folderTree.select(folderIdToSelect)) {
+        // Attempt to select the default folder stored in sync storage
+        try {
+            const storageResult = await getStorageAsync(['defaultFolderId']);
+            const defaultFolderId = storageResult.defaultFolderId;
+            if (defaultFolderId && !folderTree.select(defaultFolderId)) {
+                console.warn(`  Default folder ID ${defaultFolderId} not found in the folder tree (may have been deleted).`);
             }
+        } catch (storageError) {
+            console.error("  Error getting default folder ID:", storageError.message);
         }
-    } catch (storageError) {
-        console.error("  Error getting default folder ID:", storageError.message);
     }
 
     foldersLoaded = true; // Mark main folders as loaded
-    // console.log("  Folder select dropdown updated.");
-    filterFolderOptions(); // Apply initial filter state
-    // console.log(`  updateFolderSelect (total) took ${performance.now() - perfStartTotal} ms.`);
+    filterFolderTree(); // Apply the current filter
 }
 
 /**
@@ -270,51 +205,24 @@ async function populateBookmarkFolderOptions(forceRepopulate = false) {
         const currentUrl = currentTab.url;
 
         // Validate URL (can't bookmark chrome:// pages etc.)
-        if (!currentUrl || (!currentUrl.startsWith('http:') && !currentUrl.startsWith('https:'))) {
+        if (!isBookmarkableUrl(currentUrl, currentSettings)) {
             select.innerHTML = '<option value="" disabled>Invalid tab URL</option>';
             // console.log(`  populateBookmarkFolderOptions took ${performance.now() - perfStart} ms (invalid URL).`);
             return;
         }
 
-        // Find all bookmarks matching the current URL (this is fast)
-        const bookmarks = await searchBookmarksAsync({ url: currentUrl });
-        if (!bookmarks || bookmarks.length === 0) {
+        // One entry per folder holding the current URL
+        const locations = await sendRequest('getLocations', { url: currentUrl });
+        if (locations.length === 0) {
             select.innerHTML = '<option value="" disabled>Page not bookmarked</option>';
             // console.log(`  populateBookmarkFolderOptions took ${performance.now() - perfStart} ms (not bookmarked).`);
             hasPopulatedBookmarkFolders = true; // Mark as "populated" (with the 'not bookmarked' state)
             return;
         }
 
-        // Get unique parent folder IDs (excluding root '0')
-        const parentIds = new Set(bookmarks.map(b => b.parentId).filter(id => id && id !== '0'));
-        if (parentIds.size === 0) {
-            select.innerHTML = '<option value="" disabled>Not in any standard folder</option>';
-            // console.log(`  populateBookmarkFolderOptions took ${performance.now() - perfStart} ms (no valid parent folders).`);
-            hasPopulatedBookmarkFolders = true;
-            return;
-        }
-
-        // Build options using the globalFolderTitleMap (fast lookup)
-        let optionsHTML = '';
-        let foundFoldersCount = 0;
-        parentIds.forEach(parentId => {
-            const folderTitle = globalFolderTitleMap.get(parentId); // Lookup title from map
-            if (folderTitle) { 
-                optionsHTML += `<option value="${parentId}">${folderTitle}</option>`;
-                foundFoldersCount++;
-            } else {
-                // This folder exists as a parent but wasn't in our main hierarchy list
-                // (could be root, 'Managed bookmarks', or an error case)
-                console.warn(`  Parent folder ID ${parentId} for current tab's bookmark not found in globalFolderTitleMap.`);
-            }
-        });
-        
-        // Update the dropdown
-        if (foundFoldersCount === 0) {
-            select.innerHTML = '<option value="" disabled>No containing folders found</option>';
-        } else {
-             select.innerHTML = optionsHTML;
-        }
+        select.innerHTML = locations
+            .map(location => `<option value="${location.folderId}">${escapeHTML(location.title)}</option>`)
+            .join('');
 
         // Try to select the last folder this specific bookmark was interacted with (if stored)
         const storageResult = await getStorageAsync(['lastBookmarkedFolderID']);
@@ -337,226 +245,556 @@ async function populateBookmarkFolderOptions(forceRepopulate = false) {
 }
 
 /**
- * Searches for bookmarks within the currently selected folder in the main dropdown.
- * Displays results in the 'folderBookmarks' dropdown.
- * If search input is empty, lists all bookmarks in the folder.
+ * Searches bookmarks by title and URL in the scope chosen in 'searchScope':
+ * the selected folder only, the selected folder and its subfolders, or the whole tree.
+ * Displays ranked results with their folder paths in the 'folderBookmarks' list (see renderSearchResults()).
+ * If search input is empty, lists all bookmarks in scope.
+ * @param {Object} [options]
+ * @param {boolean} [options.keepSelection=false] - Keep listed bookmarks checked, when refreshing after acting on them.
  */
-async function searchBookmarkFolder() {
-    const resultsSelect = document.getElementById('folderBookmarks');
-    const folderSelect = document.getElementById('folderSelect');
+async function searchBookmarkFolder({ keepSelection = false } = {}) {
     const searchInput = document.getElementById('searchInput');
-    resultsSelect.innerHTML = ''; // Clear previous results
+    const searchScope = document.getElementById('searchScope');
+    const selectedIds = keepSelection ? new Set(getSelectedResults().map(bookmark => bookmark.id)) : new Set();
 
     if (!foldersLoaded) {
         showFeedback("Folders not loaded yet. Please wait.", true);
-        resultsSelect.innerHTML = '<option value="" disabled>Folders loading...</option>';
+        showResultsMessage("Folders loading...");
         return;
     }
 
-    const folderId = folderSelect.value;
-    const folderOption = folderSelect.options[folderSelect.selectedIndex];
-    // Get clean folder title from data attribute for display messages
-    const folderTitle = folderOption ? folderOption.dataset.title : "Selected Folder"; 
+    const scope = searchScope ? searchScope.value : SEARCH_SCOPE_FOLDER;
+    const isTreeWide = scope === SEARCH_SCOPE_ALL;
+    const selectedFolder = folderTree.getSelected();
+    const folderId = selectedFolder ? selectedFolder.id : '';
+    const folderTitle = isTreeWide ? "all folders" : (selectedFolder ? selectedFolder.title : "Selected Folder");
 
-    if (!folderId || (folderOption && folderOption.disabled)) {
+    if (!isTreeWide && !folderId) {
         showFeedback("Please select a valid folder to search/list.", true);
-        resultsSelect.innerHTML = '<option value="" disabled>Select a folder first</option>';
+        showResultsMessage("Select a folder first");
         return;
     }
 
-    const searchTerm = searchInput.value.toLowerCase().trim();
+    const searchTerm = searchInput.value.trim();
 
     // Update status message based on whether searching or listing all
-    if (searchTerm) {
-        resultsSelect.innerHTML = `<option value="" disabled>Searching in '${folderTitle}' for "${searchTerm}"...</option>`;
-    } else {
-        resultsSelect.innerHTML = `<option value="" disabled>Listing all in '${folderTitle}'...</option>`;
-    }
+    showResultsMessage(searchTerm
+        ? `Searching in '${folderTitle}' for "${searchTerm}"...`
+        : `Listing all in '${folderTitle}'...`);
 
     try {
-        // Get children of the selected folder
-        const bookmarksInFolder = await getChildrenAsync(folderId);
-        
-        // Filter based on search term (if provided) or list all bookmarks
-        const matchedBookmarks = searchTerm
-            ? bookmarksInFolder.filter(bookmark =>
-                bookmark.url && bookmark.title.toLowerCase().includes(searchTerm) // Match title
-              )
-            : bookmarksInFolder.filter(bookmark => bookmark.url); // List all actual bookmarks (with URL)
+        // Match title and URL, ranked exact > prefix > substring > fuzzy, then apply any operators
+        const matchedBookmarks = await sendRequest('search', {
+            query: searchTerm,
+            rootId: isTreeWide ? null : folderId,
+            recursive: scope !== SEARCH_SCOPE_FOLDER
+        });
 
         // Handle no results
         if (matchedBookmarks.length === 0) {
-            resultsSelect.innerHTML = searchTerm
-                ? `<option value="" disabled>No matches for "${searchTerm}" in '${folderTitle}'</option>`
-                : `<option value="" disabled>No bookmarks found in '${folderTitle}'</option>`;
+            showResultsMessage(searchTerm
+                ? `No matches for "${searchTerm}" in '${folderTitle}'`
+                : `No bookmarks found in '${folderTitle}'`);
             return;
         }
 
-        // Build the results dropdown HTML
         const headerText = searchTerm
             ? `Found ${matchedBookmarks.length} in '${folderTitle}' for "${searchTerm}"`
             : `Listing ${matchedBookmarks.length} bookmarks in '${folderTitle}'`;
+        renderSearchResults(matchedBookmarks, headerText, selectedIds);
+        lastSearchSourceTitle = searchTerm || folderTitle;
+        if (isNotePanelOpen()) await populateNoteTargets();
+
+    } catch (error) {
+        if (error.isQuerySyntaxError) {
+            showResultsMessage("Invalid search query");
+            showFeedback(`Search syntax: ${error.message}`, true, 5000);
+            return;
+        }
+        console.error(`Error listing/searching folder ${folderId} ('${folderTitle}'):`, error.message);
+        showResultsMessage(`Error accessing '${folderTitle}'`);
+        showFeedback(`Error accessing folder contents: ${error.message}`, true);
+    }
+}
+
+// --- SEARCH RESULTS ---
+// The 'folderBookmarks' list: one checkbox row per result (favicon, title, URL, folder), acted on by the
+// buttons below it. Rows are indexes into lastSearchResults.
+let lastSearchSourceTitle = ''; // Folder or search the listed results came from; names Open All tab groups
+let lastClickedResultIndex = null; // Start of a shift-click range
+
+// Chrome serves favicons to extensions with the "favicon" permission
+function getFaviconUrl(pageUrl) {
+    const faviconUrl = new URL(chrome.runtime.getURL('/_favicon/'));
+    faviconUrl.searchParams.set('pageUrl', pageUrl);
+    faviconUrl.searchParams.set('size', '16');
+    return faviconUrl.href;
+}
+
+/**
+ * Empties the result list and shows a status line instead.
+ */
+function showResultsMessage(message) {
+    document.getElementById('searchResults').hidden = false;
+    document.getElementById('resultsHeader').dataset.text = '';
+    document.getElementById('folderBookmarks').innerHTML = `<div class="result-message">${escapeHTML(message)}</div>`;
+    lastSearchResults = [];
+    lastClickedResultIndex = null;
+    updateResultSelection();
+}
+
+/**
+ * Lists search results as checkbox rows.
+ * @param {Array<Object>} bookmarks - Results from the 'search' request.
+ * @param {string} headerText - Shown above the list, with the number selected.
+ * @param {Set<string>} [selectedIds] - Bookmarks to list checked.
+ */
+function renderSearchResults(bookmarks, headerText, selectedIds = new Set()) {
+    document.getElementById('searchResults').hidden = false;
+    document.getElementById('resultsHeader').dataset.text = headerText;
+    document.getElementById('folderBookmarks').innerHTML = bookmarks.map((bookmark, index) => {
+        let label = bookmark.title || bookmark.url;
+        if (bookmark.tags.length > 0) label += ` ${formatTags(bookmark.tags)}`;
+        let tooltip = `${bookmark.url}\n${bookmark.folderPath}`;
+        if (bookmark.note) tooltip += `\n\n${bookmark.note}`;
+        const checked = selectedIds.has(bookmark.id);
+        return `<div class="result-row${checked ? ' selected' : ''}" role="listitem" data-index="${index}" title="${escapeHTML(tooltip)}">`
+            + `<input type="checkbox" class="resultCheckbox" data-index="${index}"${checked ? ' checked' : ''} aria-label="Select">`
+            + `<img class="favicon" src="${escapeHTML(getFaviconUrl(bookmark.url))}" alt="">`
+            + `<span class="result-title">${escapeHTML(label)}</span>`
+            + `<span class="result-detail">${escapeHTML(bookmark.url)}</span>`
+            + `<span class="result-detail">${escapeHTML(bookmark.folderPath)}</span>`
+            + '</div>';
+    }).join('');
+    lastSearchResults = bookmarks;
+    lastClickedResultIndex = null;
+    updateResultSelection();
+}
+
+/**
+ * The listed bookmarks whose boxes are checked, in list order.
+ */
+function getSelectedResults() {
+    return [...document.querySelectorAll('#folderBookmarks .resultCheckbox:checked')]
+        .map(checkbox => lastSearchResults[Number(checkbox.dataset.index)]);
+}
+
+/**
+ * Shows how many results are selected, highlights their rows and enables the action buttons if any are.
+ */
+function updateResultSelection() {
+    const checkboxes = [...document.querySelectorAll('#folderBookmarks .resultCheckbox')];
+    checkboxes.forEach(checkbox => checkbox.closest('.result-row').classList.toggle('selected', checkbox.checked));
+    const selectedCount = checkboxes.filter(checkbox => checkbox.checked).length;
+
+    const header = document.getElementById('resultsHeader');
+    header.textContent = header.dataset.text ? `${header.dataset.text} — ${selectedCount} selected` : '';
+    document.querySelectorAll('.result-action').forEach(button => { button.disabled = selectedCount === 0; });
+}
+
+function setAllResultsSelected(checked) {
+    document.querySelectorAll('#folderBookmarks .resultCheckbox').forEach(checkbox => { checkbox.checked = checked; });
+    lastClickedResultIndex = null;
+    updateResultSelection();
+}
+
+/**
+ * Clicking a title opens the bookmark; clicking elsewhere on a row toggles its box.
+ * With Shift held, every row from the previously clicked one gets the clicked row's new state.
+ */
+function handleResultListClick(event) {
+    const row = event.target.closest('.result-row');
+    if (!row) return;
+    const index = Number(row.dataset.index);
+
+    if (event.target.closest('.result-title')) {
+        chrome.tabs.create({ url: lastSearchResults[index].url, active: true });
+        return;
+    }
+
+    const checkbox = row.querySelector('.resultCheckbox');
+    if (event.target !== checkbox) checkbox.checked = !checkbox.checked; // The box toggles itself
+    if (event.shiftKey && lastClickedResultIndex !== null) {
+        const checkboxes = document.querySelectorAll('#folderBookmarks .resultCheckbox');
+        const [from, to] = [Math.min(lastClickedResultIndex, index), Math.max(lastClickedResultIndex, index)];
+        for (let i = from; i <= to; i++) checkboxes[i].checked = checkbox.checked;
+    }
+    lastClickedResultIndex = index;
+    updateResultSelection();
+}
+
+/**
+ * Returns the selected results, or null (with feedback) if none are.
+ */
+function getSelectedResultsFor(purpose) {
+    const selected = getSelectedResults();
+    if (selected.length === 0) {
+        showFeedback(`Select the results to ${purpose} first.`, true);
+        return null;
+    }
+    return selected;
+}
+
+async function openSelectedResults() {
+    const selected = getSelectedResultsFor('open');
+    if (selected) await openAllBookmarks(selected, lastSearchSourceTitle);
+}
+
+/**
+ * Moves the selected results to the trash, after confirming unless turned off on the options page.
+ */
+async function deleteSelectedResults() {
+    const selected = getSelectedResultsFor('delete');
+    if (!selected) return;
+    if (currentSettings.confirmDeleteAll && !confirm(`DELETE ${selected.length} selected bookmark(s)? They can be restored from the Trash.`)) return;
+
+    try {
+        // The background trashes them, so the batch finishes even if the popup closes
+        const { trashed, failed, errors } = await sendRequest('delete', { bookmarkIds: selected.map(bookmark => bookmark.id) });
+        if (failed > 0) {
+            showFeedback(`Error with ${failed} bookmark(s): ${errors[0].message}`, true);
+        } else {
+            showFeedback(`Moved to trash ${trashed}/${selected.length} bookmarks.`, false);
+        }
+        if (isTrashPanelOpen()) await refreshTrashList();
+
+        // Refresh the search results and the second dropdown
+        await searchBookmarkFolder({ keepSelection: true });
+        await populateBookmarkFolderOptions(true); // Force repopulate
+    } catch (error) {
+        console.error("Error deleting results:", error.message);
+        showFeedback(`Error deleting bookmarks: ${error.message}`, true);
+    }
+}
+
+/**
+ * Moves the selected results to the folder selected in the folder tree.
+ * Bookmarks already in that folder are left where they are.
+ */
+async function moveSelectedResults() {
+    const selected = getSelectedResultsFor('move');
+    if (!selected) return;
+    const folder = getSelectedFolder('move the results to');
+    if (!folder) return;
+
+    try {
+        const result = await sendRequest('move', { bookmarkIds: selected.map(bookmark => bookmark.id), toFolderId: folder.id });
+        let feedbackMessage = `${result.moved} bookmark(s) moved to '${result.toFolderTitle}'.`;
+        if (result.alreadyThere > 0) feedbackMessage += ` ${result.alreadyThere} already there.`;
+        if (result.failed > 0) feedbackMessage += ` ${result.failed} failed.`;
+        showFeedback(feedbackMessage, result.failed > 0 && result.moved === 0);
+        await searchBookmarkFolder({ keepSelection: true }); // Moved results may have left the search scope
+        await populateBookmarkFolderOptions(true);
+    } catch (error) {
+        console.error("Error moving results:", error.message);
+        showFeedback(`Error moving bookmarks: ${error.message}`, true);
+    }
+}
 
-        let optionsHTML = `
-            <option value="" disabled selected>${headerText}</option>
-            <option value="ACTION_OPEN_ALL" data-action="open">Open All (${matchedBookmarks.length})</option>
-            <option value="ACTION_DELETE_ALL" data-action="delete">Delete All (${matchedBookmarks.length})</option>
-        `;
-        matchedBookmarks.forEach(bookmark => {
-            // Store URL in data attribute for opening/actions
-            optionsHTML += `<option value="${bookmark.id}" data-url="${bookmark.url}">${bookmark.title}</option>`;
+/**
+ * Copies the selected results' URLs to the clipboard, one per line.
+ */
+async function copySelectedResultUrls() {
+    const selected = getSelectedResultsFor('copy');
+    if (!selected) return;
+    try {
+        await navigator.clipboard.writeText(selected.map(bookmark => bookmark.url).join('\n'));
+        showFeedback(`Copied ${selected.length} URL(s).`, false);
+    } catch (error) {
+        console.error("Error copying URLs:", error.message);
+        showFeedback(`Error copying URLs: ${error.message}`, true);
+    }
+}
+
+async function tagSelectedResults(add) {
+    const selected = getSelectedResultsFor(add ? 'tag' : 'untag');
+    if (selected) await tagSearchResults(selected, add);
+}
+
+/**
+ * Opens bookmarks as configured under 'Open All options', after confirming.
+ * The background does the opening in batches and reports progress (see handleOpenAllProgress()).
+ * @param {Array<{id: string, url: string, title: string}>} bookmarksDetails
+ * @param {string} sourceTitle - Folder or search the bookmarks came from; names the tab group by default.
+ */
+async function openAllBookmarks(bookmarksDetails, sourceTitle) {
+    const options = await getOpenAllOptions();
+    const total = options.maxTabs > 0 ? Math.min(options.maxTabs, bookmarksDetails.length) : bookmarksDetails.length;
+    const targetText = {
+        [OPEN_TARGET_CURRENT]: 'in this window',
+        [OPEN_TARGET_WINDOW]: 'in a new window',
+        [OPEN_TARGET_GROUP]: `in tab group '${options.groupTitle || sourceTitle}'`
+    }[options.target];
+    const confirmationMessage = total < bookmarksDetails.length
+        ? `Open the first ${total} of ${bookmarksDetails.length} selected bookmarks ${targetText}? (Limit set under Open All options)`
+        : `Open all ${total} selected bookmarks ${targetText}?`;
+    if (!confirm(confirmationMessage)) return;
+
+    try {
+        const [activeTab] = await queryTabsAsync({ active: true, currentWindow: true });
+        const result = await sendRequest('openAll', {
+            urls: bookmarksDetails.map(bkm => bkm.url),
+            title: sourceTitle,
+            windowId: activeTab ? activeTab.windowId : undefined
         });
-        resultsSelect.innerHTML = optionsHTML; // Update dropdown content
+        let feedbackMessage = `Opened ${result.opened}/${result.total} bookmarks.`;
+        if (result.cancelled) feedbackMessage += ' Cancelled.';
+        if (result.capped > 0) feedbackMessage += ` ${result.capped} left out by the limit.`;
+        showFeedback(feedbackMessage, false);
+    } catch (error) {
+        console.error("Error opening bookmarks:", error.message);
+        showFeedback(`Error opening bookmarks: ${error.message}`, true);
+    }
+}
 
-        // Prepare data needed for the action monitor (Open All/Delete All)
-        const detailsForMonitor = matchedBookmarks.map(b => ({id: b.id, url: b.url, title: b.title}));
-        bkmOptionMonitor(resultsSelect, detailsForMonitor); // Attach event listener
+/**
+ * Shows Open All progress sent by the background.
+ */
+function handleOpenAllProgress(message) {
+    if (!message || message.type !== 'openAllProgress') return;
+    showFeedback(`Opening bookmarks: ${message.opened}/${message.total}...`, false, 0);
+}
+
+// --- TAGS ---
+let knownTags = []; // Tags in use, most used first; loaded when 'tagInput' gets focus
 
+function formatTags(tags) {
+    return tags.map(tag => `#${tag}`).join(' ');
+}
+
+async function loadKnownTags() {
+    try {
+        knownTags = countTags(await getTagMap()).map(({ tag }) => tag);
+        updateTagSuggestions();
     } catch (error) {
-        console.error(`Error listing/searching folder ${folderId} ('${folderTitle}'):`, error.message);
-        resultsSelect.innerHTML = `<option value="" disabled>Error accessing '${folderTitle}'</option>`;
-        showFeedback(`Error accessing folder contents: ${error.message}`, true);
+        console.error("Error loading tags:", error.message);
     }
 }
 
 /**
- * Attaches the change event listener to the 'folderBookmarks' dropdown
- * to handle opening single bookmarks or performing "Open All"/"Delete All" actions.
- * @param {HTMLSelectElement} selectElement - The dropdown element for search results.
- * @param {Array<{id: string, url: string, title: string}>} bookmarksDetails - Details of the listed bookmarks.
- */
-function bkmOptionMonitor(selectElement, bookmarksDetails) { 
-    selectElement.onchange = async function() { // Use async for potential awaits within actions
-        const selectedOption = selectElement.options[selectElement.selectedIndex];
-        const actionValue = selectedOption.value; 
-
-        // Handle "Open All" or "Delete All" actions
-        if (actionValue === "ACTION_OPEN_ALL" || actionValue === "ACTION_DELETE_ALL") {
-            const isOpening = actionValue === "ACTION_OPEN_ALL";
-            const confirmationMessage = isOpening ?
-                `Open all ${bookmarksDetails.length} found bookmarks?` :
-                `DELETE all ${bookmarksDetails.length} found bookmarks from this folder? This cannot be undone.`;
-
-            // Confirm with the user
-            if (confirm(confirmationMessage)) {
-                let successCount = 0;
-                // Iterate through the bookmarks that were found by the search/list
-                for (const bkm of bookmarksDetails) {
-                    try {
-                        if (isOpening) {
-                            chrome.tabs.create({ url: bkm.url, active: false }); // Open in background tab
-                        } else {
-                            await removeBookmarkAsync(bkm.id); // Delete the bookmark
-                        }
-                        successCount++;
-                    } catch (err) {
-                        console.error(`Error processing bookmark '${bkm.title}' (ID ${bkm.id}) for ${actionValue}:`, err.message);
-                        showFeedback(`Error with '${bkm.title}': ${err.message}`, true);
-                    }
-                }
-                showFeedback(`${isOpening ? 'Opened' : 'Deleted'} ${successCount}/${bookmarksDetails.length} bookmarks.`, false);
+ * Suggests existing tags for the tag being typed. A datalist completes the whole input,
+ * so each suggestion repeats the tags already entered before the last comma.
+ */
+function updateTagSuggestions() {
+    const input = document.getElementById('tagInput');
+    const lastComma = input.value.lastIndexOf(',');
+    const entered = input.value.slice(0, lastComma + 1);
+    const partial = normalizeTag(input.value.slice(lastComma + 1));
+    const alreadyEntered = parseTagList(entered);
+    const prefix = entered ? `${entered.trimEnd()} ` : '';
+
+    document.getElementById('tagSuggestions').innerHTML = knownTags
+        .filter(tag => tag.startsWith(partial) && !alreadyEntered.includes(tag))
+        .map(tag => `<option value="${escapeHTML(prefix + tag)}"></option>`)
+        .join('');
+}
 
-                // If bookmarks were deleted, refresh the search results and the second dropdown
-                if (!isOpening) { 
-                    await searchBookmarkFolder(); 
-                    await populateBookmarkFolderOptions(true); // Force repopulate
-                }
-            }
-            selectElement.selectedIndex = 0; 
-        } 
-        else if (selectedOption.dataset.url) {
-            chrome.tabs.create({ url: selectedOption.dataset.url, active: true });
+/**
+ * Adds the tags in 'tagInput' to search results, or removes them.
+ * @param {Array<{id: string}>} bookmarksDetails - The selected search results.
+ * @param {boolean} add - Add the tags (true) or remove them (false).
+ */
+async function tagSearchResults(bookmarksDetails, add) {
+    const tags = parseTagList(document.getElementById('tagInput').value);
+    if (tags.length === 0) {
+        showFeedback("Type the tags in the tags field first.", true);
+        return;
+    }
+    try {
+        const bookmarkIds = bookmarksDetails.map(bkm => bkm.id);
+        const changed = await sendRequest(add ? 'addTags' : 'removeTags', { bookmarkIds, tags });
+        showFeedback(`${add ? 'Tagged' : 'Untagged'} ${changed}/${bookmarkIds.length} bookmarks with ${formatTags(tags)}.`, false);
+        await loadKnownTags();
+        await searchBookmarkFolder({ keepSelection: true }); // Show the new tags in the results
+    } catch (error) {
+        console.error("Error updating tags:", error.message);
+        showFeedback(`Error updating tags: ${error.message}`, true);
+    }
+}
+
+// --- NOTES ---
+
+function isNotePanelOpen() {
+    const panel = document.getElementById('notePanel');
+    return !!(panel && panel.open);
+}
+
+/**
+ * Lists the bookmarks a note can be written for in 'noteTargetSelect':
+ * the current page's bookmark in each folder, then the results of the last search.
+ */
+async function populateNoteTargets() {
+    const select = document.getElementById('noteTargetSelect');
+    const previouslySelected = select.value;
+    let optionsHTML = '';
+    try {
+        const [activeTab] = await queryTabsAsync({ active: true, currentWindow: true });
+        const url = activeTab ? activeTab.url : '';
+        const locations = isBookmarkableUrl(url, currentSettings)
+            ? await sendRequest('getLocations', { url })
+            : [];
+        if (locations.length > 0) {
+            optionsHTML += '<optgroup label="This page">'
+                + locations.map(location => `<option value="${location.bookmarkId}">${escapeHTML(location.title)}</option>`).join('')
+                + '</optgroup>';
         }
-    };
+        if (lastSearchResults.length > 0) {
+            optionsHTML += '<optgroup label="Search results">'
+                + lastSearchResults.map(bookmark => `<option value="${bookmark.id}" title="${escapeHTML(bookmark.url)}">${escapeHTML(bookmark.title || bookmark.url)}</option>`).join('')
+                + '</optgroup>';
+        }
+        select.innerHTML = optionsHTML || '<option value="" disabled selected>Page not bookmarked, search to pick a bookmark</option>';
+        if (previouslySelected && select.querySelector(`option[value="${previouslySelected}"]`)) select.value = previouslySelected;
+    } catch (error) {
+        console.error("Error listing bookmarks for notes:", error.message);
+        select.innerHTML = '<option value="" disabled selected>Error loading bookmarks</option>';
+    }
+    await loadSelectedNote();
+}
+
+/**
+ * Shows the note of the bookmark picked in 'noteTargetSelect'.
+ */
+async function loadSelectedNote() {
+    const bookmarkId = document.getElementById('noteTargetSelect').value;
+    const noteMap = bookmarkId ? await getNoteMap() : {};
+    document.getElementById('noteInput').value = noteMap[bookmarkId] || '';
+}
+
+/**
+ * Saves the text in 'noteInput' as the picked bookmark's note; blank text (or clearing) removes it.
+ */
+async function saveSelectedNote(clear = false) {
+    const bookmarkId = document.getElementById('noteTargetSelect').value;
+    if (!bookmarkId) {
+        showFeedback("Pick a bookmark to write a note for.", true);
+        return;
+    }
+    const noteInput = document.getElementById('noteInput');
+    if (clear) noteInput.value = '';
+    try {
+        await sendRequest('setNote', { bookmarkId, text: noteInput.value });
+        showFeedback(noteInput.value.trim() ? "Note saved." : "Note removed.", false);
+        if (lastSearchResults.some(result => result.id === bookmarkId)) {
+            await searchBookmarkFolder({ keepSelection: true }); // Refresh the note shown in the results tooltip
+        }
+    } catch (error) {
+        console.error("Error saving note:", error.message);
+        showFeedback(`Error saving note: ${error.message}`, true);
+    }
+}
+
+// --- OPEN ALL OPTIONS ---
+
+/**
+ * Fills the 'Open All options' fields from storage.
+ */
+async function loadOpenAllOptions() {
+    try {
+        const options = await getOpenAllOptions();
+        document.getElementById('openAllTarget').value = options.target;
+        document.getElementById('openAllGroupTitle').value = options.groupTitle;
+        document.getElementById('openAllLazy').checked = options.lazy;
+        document.getElementById('openAllBatchSize').value = options.batchSize;
+        document.getElementById('openAllMaxTabs').value = options.maxTabs;
+    } catch (error) {
+        console.error("Error loading Open All options:", error.message);
+    }
+}
+
+/**
+ * Saves the 'Open All options' fields whenever one changes.
+ */
+async function saveOpenAllOptionsFromPopup() {
+    try {
+        await setOpenAllOptions({
+            target: document.getElementById('openAllTarget').value,
+            groupTitle: document.getElementById('openAllGroupTitle').value.trim(),
+            lazy: document.getElementById('openAllLazy').checked,
+            batchSize: Number(document.getElementById('openAllBatchSize').value),
+            maxTabs: Number(document.getElementById('openAllMaxTabs').value)
+        });
+        showFeedback("Open All options saved.", false);
+    } catch (error) {
+        showFeedback(error.message, true);
+        await loadOpenAllOptions(); // Put back the stored values
+    }
 }
 
 /**
- * Saves bookmarks for all highlighted tabs to the selected folder.
+ * Stops a running Open All after its current batch.
+ */
+async function cancelOpenAllFromPopup() {
+    try {
+        const wasRunning = await sendRequest('cancelOpenAll');
+        showFeedback(wasRunning ? "Cancelling after the current batch..." : "Nothing is being opened.", false);
+    } catch (error) {
+        console.error("Error cancelling Open All:", error.message);
+        showFeedback(`Error cancelling: ${error.message}`, true);
+    }
+}
+
+/**
+ * Saves bookmarks for all highlighted tabs. A folder picked in the tree wins: every tab goes there.
+ * Otherwise (the default folder the popup opened with is still selected) each tab goes to the folder
+ * its filing rule picks, or to the default folder if no rule matches, as with Ctrl+Shift+S.
+ * Tags typed in 'tagInput' are added to them.
+ * A single tab is saved with the title in 'titleInput'; otherwise the title rules name the bookmarks.
  */
 async function saveBookmark() {
-    const folderSelect = document.getElementById('folderSelect');
-    const folderId = folderSelect.value;
-    const folderOption = folderSelect.options[folderSelect.selectedIndex];
-    const folderName = folderOption ? folderOption.dataset.title : "selected folder";
+    const folderId = folderTree.getSelected()?.id;
 
-    if (!folderId || (folderOption && folderOption.disabled)) {
+    if (!folderId) {
         showFeedback("No valid folder selected to save to.", true);
         return;
     }
 
-    // let perfStart = performance.now();
-    let successCount = 0;
-    let alreadyExistsCount = 0;
-    let errorCount = 0;
-    let tabsToProcess = [];
-
     try {
-        tabsToProcess = await queryTabsAsync({ highlighted: true, currentWindow: true });
-        if (!tabsToProcess || tabsToProcess.length === 0) {
+        const { defaultFolderId } = await getStorageAsync(['defaultFolderId']);
+        const useRules = !folderPickedByUser && folderId === defaultFolderId;
+
+        const tabs = await queryTabsAsync({ highlighted: true, currentWindow: true });
+        if (!tabs || tabs.length === 0) {
             showFeedback("No highlighted tabs found to save.", true); return;
         }
 
-        for (const currentTab of tabsToProcess) {
-            if (!currentTab.url || (!currentTab.url.startsWith('http:') && !currentTab.url.startsWith('https:'))) {
-                 console.warn(`Cannot bookmark tab: ${currentTab.title || currentTab.id} (invalid URL: ${currentTab.url}). Skipping.`);
-                 errorCount++;
-                 continue;
-            }
-            
-            try {
-                const existingBookmarksForUrl = await searchBookmarksAsync({ url: currentTab.url });
-                const alreadyExistsInTargetFolder = existingBookmarksForUrl.some(bm => bm.parentId === folderId);
-
-                if (alreadyExistsInTargetFolder) {
-                    console.log(`Tab '${currentTab.title || currentTab.url}' already bookmarked in '${folderName}'. Skipping.`);
-                    alreadyExistsCount++;
-                    continue; 
-                }
-                
-                await createBookmarkAsync({
-                    parentId: folderId,
-                    title: currentTab.title || currentTab.url,
-                    url: currentTab.url
-                });
-                successCount++;
-                console.log(`Saved tab '${currentTab.title || currentTab.url}' to '${folderName}'.`);
-            } catch (tabError) {
-                console.error(`Error saving tab '${currentTab.title || currentTab.url}':`, tabError.message);
-                errorCount++;
-            }
-        }
+        const typedTitle = document.getElementById('titleInput').value.trim();
+        const useTypedTitle = typedTitle !== '' && tabs.length === 1;
 
-        let feedbackMessage = "";
-        if (successCount > 0) feedbackMessage += `${successCount} bookmark(s) saved to '${folderName}'. `;
-        if (alreadyExistsCount > 0) feedbackMessage += `${alreadyExistsCount} already existed. `;
-        if (errorCount > 0) feedbackMessage += `${errorCount} failed.`;
-        
-        showFeedback(feedbackMessage.trim() || "No new bookmarks saved.", errorCount > 0 && successCount === 0);
+        // Rules match the tab's own title, whatever title the bookmark is saved under
+        const result = await sendRequest('file', {
+            fallbackFolderId: folderId,
+            useRules,
+            tabs: tabs.map(tab => ({ url: tab.url, title: tab.title, bookmarkTitle: useTypedTitle ? typedTitle : undefined })),
+            tags: parseTagList(document.getElementById('tagInput').value),
+            formatTitles: !useTypedTitle
+        });
 
-        if (successCount > 0) {
-            await setStorageAsync({ 'lastBookmarkedFolderID': folderId }); 
-        }
+        let feedbackMessage = summarizeFilingResult(result);
+        // Copies elsewhere, including trivially different URLs (http/https, www., utm_*, ...)
+        if (result.alsoSavedIn.length > 0) feedbackMessage += ` Also saved in: ${result.alsoSavedIn.join(', ')}.`;
+
+        const hasErrors = result.invalid + result.unfiled + result.failed > 0;
+        showFeedback(feedbackMessage.trim() || "No new bookmarks saved.", hasErrors && result.saved === 0, result.alsoSavedIn.length > 0 ? 6000 : 3000);
         await populateBookmarkFolderOptions(true);
     } catch (error) {
         console.error("Error during batch save process:", error.message);
         showFeedback(`Error saving bookmarks: ${error.message}`, true);
     }
-    // console.log(`saveBookmark (batch operation for ${tabsToProcess ? tabsToProcess.length : 0} tabs) took ${performance.now() - perfStart} ms.`);
 }
 
 /**
- * Sets the currently selected folder in the main dropdown as the default save location.
+ * Sets the folder selected in the folder tree as the default save location.
  */
 async function setDefaultFolder() {
-    const folderSelect = document.getElementById('folderSelect');
-    const folderId = folderSelect.value;
-    const folderOption = folderSelect.options[folderSelect.selectedIndex];
-    const folderName = folderOption ? folderOption.dataset.title : "Selected folder";
+    const selectedFolder = folderTree.getSelected();
 
-    if (!folderId || (folderOption && folderOption.disabled)) {
+    if (!selectedFolder) {
         showFeedback("No valid folder selected as default.", true);
         return;
     }
+    const folderId = selectedFolder.id;
+    const folderName = selectedFolder.title;
 
     try {
         await setStorageAsync({ 'defaultFolderId': folderId }); 
@@ -569,7 +807,7 @@ async function setDefaultFolder() {
 
 /**
  * Deletes bookmarks for all highlighted tabs from the folder selected in the second dropdown.
- * No confirmation dialog.
+ * Asks first only if the options page says so; deleted bookmarks go to the trash and can be restored.
  */
 async function deleteBookmark() {
     const bookmarkFolderSelect = document.getElementById('bookmarkFolderSelect');
@@ -598,67 +836,40 @@ async function deleteBookmark() {
     const fromFolderId = bookmarkFolderSelect.value;
     const fromFolderName = bookmarkFolderSelect.options[bookmarkFolderSelect.selectedIndex]?.text || "selected folder";
 
-    console.log(`deleteBookmark: Proceeding to delete from folder: ${fromFolderName} (ID: ${fromFolderId}). NO CONFIRMATION.`);
+    console.log(`deleteBookmark: Proceeding to delete from folder: ${fromFolderName} (ID: ${fromFolderId}). Moving to trash.`);
     
-    // Step 2: Proceed with delete for all highlighted tabs
-    // let perfStartAction = performance.now();
-    let successCount = 0;
-    let notFoundCount = 0;
-    let errorCount = 0;
-    let tabsToProcess = [];
-
     try {
-        tabsToProcess = await queryTabsAsync({ highlighted: true, currentWindow: true });
-        if (!tabsToProcess || tabsToProcess.length === 0) {
+        const tabs = await queryTabsAsync({ highlighted: true, currentWindow: true });
+        if (!tabs || tabs.length === 0) {
             showFeedback("No highlighted tabs found to delete bookmarks for.", true); return;
         }
+        if (currentSettings.confirmDelete && !confirm(`Delete the bookmark(s) of ${tabs.length} tab(s) from '${fromFolderName}'? They can be restored from the Trash.`)) return;
+
+        const result = await sendRequest('delete', {
+            folderId: fromFolderId,
+            tabs: tabs.map(tab => ({ url: tab.url, title: tab.title }))
+        });
 
-        for (const currentTab of tabsToProcess) {
-            if (!currentTab.url) { 
-                console.warn(`Tab ${currentTab.id} has no URL. Skipping delete.`);
-                errorCount++;
-                continue;
-            }
-            
-            try {
-                const existingBookmarksForUrl = await searchBookmarksAsync({ url: currentTab.url });
-                const bookmarkToDelete = existingBookmarksForUrl.find(b => b.parentId === fromFolderId);
-
-                if (bookmarkToDelete) {
-                    await removeBookmarkAsync(bookmarkToDelete.id);
-                    successCount++;
-                    console.log(`Deleted bookmark for '${currentTab.title || currentTab.url}' from '${fromFolderName}'.`);
-                } else {
-                    notFoundCount++;
-                    console.log(`Bookmark for '${currentTab.title || currentTab.url}' not found in '${fromFolderName}'. Skipping.`);
-                }
-            } catch (tabError) {
-                console.error(`Error deleting bookmark for tab '${currentTab.title || currentTab.url}':`, tabError.message);
-                errorCount++;
-            }
-        }
-        
         let feedbackMessage = "";
-        if (successCount > 0) feedbackMessage += `${successCount} bookmark(s) deleted from '${fromFolderName}'. `;
-        if (notFoundCount > 0) feedbackMessage += `${notFoundCount} not found. `;
-        if (errorCount > 0) feedbackMessage += `${errorCount} failed.`;
+        if (result.trashed > 0) feedbackMessage += `${result.trashed} bookmark(s) moved to trash from '${result.folderTitle}'. `;
+        if (result.notFound > 0) feedbackMessage += `${result.notFound} not found. `;
+        if (result.failed > 0) feedbackMessage += `${result.failed} failed.`;
 
-        showFeedback(feedbackMessage.trim() || "No bookmarks processed for deletion.", errorCount > 0 && successCount === 0);
+        showFeedback(feedbackMessage.trim() || "No bookmarks processed for deletion.", result.failed > 0 && result.trashed === 0);
         await populateBookmarkFolderOptions(true); // Final populate to reflect deletion in UI
-    } catch (error) { // Error from queryTabsAsync
+        if (result.trashed > 0 && isTrashPanelOpen()) await refreshTrashList();
+    } catch (error) {
         console.error("Error during batch delete process:", error.message);
         showFeedback(`Error deleting bookmarks: ${error.message}`, true);
     }
-    // console.log(`deleteBookmark (batch operation for ${tabsToProcess ? tabsToProcess.length : 0} tabs) took ${performance.now() - perfStartAction} ms.`);
 }
 
 /**
  * Moves bookmarks for all highlighted tabs from the folder selected in the second dropdown
- * to the folder selected in the main dropdown.
+ * to the folder selected in the folder tree.
  */
 async function moveBookmark() {
     const fromFolderSelect = document.getElementById('bookmarkFolderSelect');
-    const toFolderSelect = document.getElementById('folderSelect');
 
     // Step 1: Ensure 'from' dropdown has some state if possible.
     if (fromFolderSelect.options.length === 0 ||
@@ -678,142 +889,1103 @@ async function moveBookmark() {
     if (!fromFolderSelect.value || (fromFolderSelect.options[fromFolderSelect.selectedIndex] && fromFolderSelect.options[fromFolderSelect.selectedIndex].disabled)) {
         showFeedback("No valid 'from' folder selected.", true); return;
     }
-    const toFolderOption = toFolderSelect.options[toFolderSelect.selectedIndex];
-    if (!toFolderSelect.value || (toFolderOption && toFolderOption.disabled)) {
+    const toFolderId = folderTree.getSelected()?.id;
+    if (!toFolderId) {
         showFeedback("No valid 'to' folder selected.", true); return;
     }
 
     const fromFolderId = fromFolderSelect.value;
-    const toFolderId = toFolderSelect.value;
-    const fromFolderName = fromFolderSelect.options[fromFolderSelect.selectedIndex]?.text.trim() || "source";
-    const toFolderName = toFolderOption?.dataset.title || "destination";
 
     if (fromFolderId === toFolderId) {
         showFeedback("Source and destination are same.", false); return;
     }
     
-    // Step 3: Proceed with move for all highlighted tabs
-    // let perfStartAction = performance.now();
-    let successCount = 0;
-    let notFoundCount = 0;
-    let errorCount = 0;
-    let tabsToProcess = [];
-
     try {
-        tabsToProcess = await queryTabsAsync({ highlighted: true, currentWindow: true });
-        if (!tabsToProcess || tabsToProcess.length === 0) {
+        const tabs = await queryTabsAsync({ highlighted: true, currentWindow: true });
+        if (!tabs || tabs.length === 0) {
             showFeedback("No highlighted tabs found to move bookmarks for.", true); return;
         }
 
-        for (const currentTab of tabsToProcess) {
-            if (!currentTab.url) {
-                console.warn(`Tab ${currentTab.id} has no URL. Skipping move.`);
-                errorCount++;
-                continue;
-            }
-            
-            try {
-                const existingBookmarksForUrl = await searchBookmarksAsync({ url: currentTab.url });
-                const bookmarkToMove = existingBookmarksForUrl.find(b => b.parentId === fromFolderId);
-
-                if (bookmarkToMove) {
-                    await moveBookmarkAsync(bookmarkToMove.id, { parentId: toFolderId });
-                    successCount++;
-                    console.log(`Moved bookmark for '${currentTab.title || currentTab.url}' from '${fromFolderName}' to '${toFolderName}'.`);
-                } else {
-                    notFoundCount++;
-                    console.log(`Bookmark for '${currentTab.title || currentTab.url}' not found in '${fromFolderName}'. Skipping move.`);
-                }
-            } catch (tabError) {
-                console.error(`Error moving bookmark for tab '${currentTab.title || currentTab.url}':`, tabError.message, tabError.chromeErrorDetails);
-                if (tabError.chromeErrorDetails?.message.toLowerCase().includes("can't move node into its own child")) {
-                     showFeedback(`Cannot move '${currentTab.title || currentTab.url}' into its own subfolder.`, true, 5000);
-                }
-                errorCount++;
-            }
-        }
+        const result = await sendRequest('move', {
+            fromFolderId,
+            toFolderId,
+            tabs: tabs.map(tab => ({ url: tab.url, title: tab.title }))
+        });
 
         let feedbackMessage = "";
-        if (successCount > 0) feedbackMessage += `${successCount} bookmark(s) moved to '${toFolderName}'. `;
-        if (notFoundCount > 0) feedbackMessage += `${notFoundCount} not found in '${fromFolderName}'. `;
-        if (errorCount > 0) feedbackMessage += `${errorCount} failed.`;
+        if (result.moved > 0) feedbackMessage += `${result.moved} bookmark(s) moved to '${result.toFolderTitle}'. `;
+        if (result.notFound > 0) feedbackMessage += `${result.notFound} not found in '${result.fromFolderTitle}'. `;
+        if (result.failed > 0) feedbackMessage += `${result.failed} failed.`;
 
-        showFeedback(feedbackMessage.trim() || "No bookmarks processed for move.", errorCount > 0 && successCount === 0);
+        showFeedback(feedbackMessage.trim() || "No bookmarks processed for move.", result.failed > 0 && result.moved === 0);
         await populateBookmarkFolderOptions(true); // Final populate
-    } catch (error) { // Error from queryTabsAsync
+    } catch (error) {
         console.error("Error during batch move process:", error.message);
         showFeedback(`Error moving bookmarks: ${error.message}`, true);
     }
-    // console.log(`moveBookmark (batch operation for ${tabsToProcess ? tabsToProcess.length : 0} tabs) took ${performance.now() - perfStartAction} ms.`);
+}
+
+// --- TRASH VIEW ---
+
+function isTrashPanelOpen() {
+    const trashPanel = document.getElementById('trashPanel');
+    return !!(trashPanel && trashPanel.open);
 }
 
 /**
- * Debounce utility to limit how often a function can run.
+ * Lists the trash contents in the 'trashSelect' dropdown, newest first. Only reads the trash;
+ * with purgeExpired, the background first drops entries past the retention period.
  */
-function debounce(func, wait) {
-    let timeout;
-    return function executedFunction(...args) {
-        const context = this;
-        const later = () => {
-            timeout = null;
-            func.apply(context, args);
-        };
-        clearTimeout(timeout);
-        timeout = setTimeout(later, wait);
+async function refreshTrashList(purgeExpired = false) {
+    const trashSelect = document.getElementById('trashSelect');
+    trashSelect.innerHTML = '<option value="" disabled>Loading trash...</option>';
+
+    try {
+        if (purgeExpired) await sendRequest('purgeExpiredTrash');
+        const trash = await getTrash();
+        if (trash.length === 0) {
+            trashSelect.innerHTML = '<option value="" disabled>Trash is empty</option>';
+            return;
+        }
+        trashSelect.innerHTML = '';
+        trash.forEach(entry => {
+            const option = document.createElement('option');
+            option.value = entry.trashId;
+            option.textContent = entry.title || entry.url;
+            option.title = `${entry.url}\nDeleted ${new Date(entry.deletedAt).toLocaleString()}`;
+            trashSelect.appendChild(option);
+        });
+    } catch (error) {
+        console.error("Error loading trash:", error.message);
+        trashSelect.innerHTML = '<option value="" disabled>Error loading trash</option>';
+        showFeedback(`Error loading trash: ${error.message}`, true);
+    }
+}
+
+function getSelectedTrashIds() {
+    const trashSelect = document.getElementById('trashSelect');
+    return Array.from(trashSelect.selectedOptions)
+        .filter(option => option.value && !option.disabled)
+        .map(option => option.value);
+}
+
+/**
+ * Restores the trash entries selected in 'trashSelect'.
+ */
+async function restoreSelectedTrash() {
+    const trashIds = getSelectedTrashIds();
+    if (trashIds.length === 0) {
+        showFeedback("Select items in the trash to restore.", true);
+        return;
+    }
+
+    try {
+        const { restored, movedToDefault, failed } = await sendRequest('restoreTrash', { trashIds });
+        let feedbackMessage = "";
+        if (restored > 0) feedbackMessage += `${restored} bookmark(s) restored. `;
+        if (movedToDefault > 0) feedbackMessage += `${movedToDefault} went to the default folder (original gone). `;
+        if (failed > 0) feedbackMessage += `${failed} failed.`;
+        showFeedback(feedbackMessage.trim(), failed > 0 && restored === 0);
+
+        await refreshTrashList();
+        await populateBookmarkFolderOptions(true);
+    } catch (error) {
+        console.error("Error restoring from trash:", error.message);
+        showFeedback(`Error restoring: ${error.message}`, true);
+    }
+}
+
+/**
+ * Permanently deletes the trash entries selected in 'trashSelect'.
+ */
+async function purgeSelectedTrash() {
+    const trashIds = getSelectedTrashIds();
+    if (trashIds.length === 0) {
+        showFeedback("Select items in the trash to purge.", true);
+        return;
+    }
+    if (!confirm(`Permanently delete ${trashIds.length} item(s) from the trash? This cannot be undone.`)) return;
+
+    try {
+        const purgedCount = await sendRequest('purgeTrash', { trashIds });
+        showFeedback(`${purgedCount} item(s) permanently deleted.`, false);
+        await refreshTrashList();
+    } catch (error) {
+        console.error("Error purging trash:", error.message);
+        showFeedback(`Error purging: ${error.message}`, true);
+    }
+}
+
+/**
+ * Permanently deletes everything in the trash.
+ */
+async function emptyTrashBin() {
+    const trashSelect = document.getElementById('trashSelect');
+    const itemCount = Array.from(trashSelect.options).filter(option => option.value).length;
+    if (itemCount === 0) {
+        showFeedback("Trash is already empty.", false);
+        return;
+    }
+    if (!confirm(`Permanently delete all ${itemCount} item(s) in the trash? This cannot be undone.`)) return;
+
+    try {
+        const purgedCount = await sendRequest('emptyTrash');
+        showFeedback(`Trash emptied (${purgedCount} item(s)).`, false);
+        await refreshTrashList();
+    } catch (error) {
+        console.error("Error emptying trash:", error.message);
+        showFeedback(`Error emptying trash: ${error.message}`, true);
+    }
+}
+
+/**
+ * Saves the retention period from 'trashRetentionInput' and purges anything now expired.
+ */
+async function saveTrashRetention() {
+    const retentionInput = document.getElementById('trashRetentionInput');
+    const days = Number(retentionInput.value);
+    if (!Number.isInteger(days) || days < 0) {
+        showFeedback("Retention must be a whole number of days (0 = forever).", true);
+        retentionInput.value = await getTrashRetentionDays();
+        return;
+    }
+
+    try {
+        await setTrashRetentionDays(days);
+        showFeedback(days === 0 ? "Trash is kept forever." : `Trash is kept for ${days} day(s).`, false);
+        await refreshTrashList(true);
+    } catch (error) {
+        console.error("Error saving trash retention:", error.message);
+        showFeedback(`Error saving retention: ${error.message}`, true);
+    }
+}
+
+// --- IMPORT ---
+
+/**
+ * Imports the Netscape bookmarks.html file chosen in 'importFileInput' under the folder selected in the folder tree.
+ * With 'importDryRun' checked nothing is created; the preview shows what would be.
+ */
+async function importBookmarksFile() {
+    const fileInput = document.getElementById('importFileInput');
+    const skipExisting = document.getElementById('importSkipExisting').checked;
+    const dryRun = document.getElementById('importDryRun').checked;
+    const preview = document.getElementById('importPreview');
+
+    const selectedFolder = folderTree.getSelected();
+    if (!selectedFolder) {
+        showFeedback("No valid folder selected to import into.", true);
+        return;
+    }
+    const folderId = selectedFolder.id;
+    const folderName = selectedFolder.title;
+    const file = fileInput.files[0];
+    if (!file) {
+        showFeedback("Choose a bookmarks.html file to import.", true);
+        return;
+    }
+
+    preview.textContent = '';
+    showFeedback(dryRun ? "Previewing import..." : "Importing...", false, 0);
+
+    try {
+        const nodes = parseNetscapeBookmarks(await file.text());
+        const { folders, bookmarks } = countNetscapeNodes(nodes);
+        if (bookmarks === 0 && folders === 0) {
+            showFeedback("The file contains no bookmarks.", true);
+            return;
+        }
+
+        const report = await importNetscapeTree(nodes, folderId, { skipExisting, dryRun });
+        preview.textContent = report.lines.join('\n');
+        if (Object.keys(report.tagsById).length > 0) await sendRequest('addTags', { tagsById: report.tagsById });
+
+        let feedbackMessage = dryRun ? `Dry run into '${folderName}': ` : `Imported into '${folderName}': `;
+        feedbackMessage += `${report.bookmarksCreated} bookmark(s), ${report.foldersCreated} new folder(s)`;
+        if (report.foldersReused > 0) feedbackMessage += `, ${report.foldersReused} merged`;
+        if (report.skipped > 0) feedbackMessage += `, ${report.skipped} skipped`;
+        if (report.failed > 0) feedbackMessage += `, ${report.failed} failed`;
+        showFeedback(`${feedbackMessage}.`, report.failed > 0 && report.bookmarksCreated === 0, 8000);
+
+        // New folders need to show up in the dropdowns
+        if (!dryRun && report.foldersCreated > 0) {
+            const allFoldersFlat = await getFullFolderHierarchy(true);
+            await updateFolderTree(allFoldersFlat, folderId); // Keep the import target selected
+        }
+        if (!dryRun && report.bookmarksCreated > 0) {
+            await populateBookmarkFolderOptions(true);
+        }
+    } catch (error) {
+        console.error("Error importing bookmarks file:", error.message);
+        showFeedback(`Error importing: ${error.message}`, true);
+    }
+}
+
+// --- EXPORT ---
+
+/**
+ * Exports the folder selected in the folder tree (with all subfolders) in the format chosen in 'exportFormat'.
+ */
+async function exportSelectedFolder() {
+    const format = document.getElementById('exportFormat').value;
+    const folderId = folderTree.getSelected()?.id;
+
+    if (!folderId) {
+        showFeedback("No valid folder selected to export.", true);
+        return;
+    }
+
+    try {
+        const { content, folderTitle, bookmarkCount } = await exportFolder(folderId, format);
+        const safeTitle = folderTitle.replace(/[\\/:*?"<>|]+/g, '_').trim() || 'bookmarks';
+        const date = new Date().toISOString().slice(0, 10);
+        const { extension, mimeType } = EXPORT_FORMATS[format];
+        downloadTextFile(`${safeTitle}-${date}.${extension}`, content, mimeType);
+        showFeedback(`Exported ${bookmarkCount} bookmark(s) from '${folderTitle}'.`, false);
+    } catch (error) {
+        console.error("Error exporting folder:", error.message);
+        showFeedback(`Error exporting: ${error.message}`, true);
+    }
+}
+
+// --- SNAPSHOTS ---
+
+/**
+ * Lists saved snapshots in 'snapshotSelect', and the comparison targets (live tree + other snapshots) in 'snapshotCompareSelect'.
+ */
+async function refreshSnapshotList() {
+    const snapshotSelect = document.getElementById('snapshotSelect');
+    const compareSelect = document.getElementById('snapshotCompareSelect');
+    const previouslySelected = snapshotSelect.value;
+
+    try {
+        const snapshots = await listSnapshots();
+        if (snapshots.length === 0) {
+            snapshotSelect.innerHTML = '<option value="" disabled selected>No snapshots yet</option>';
+        } else {
+            snapshotSelect.innerHTML = snapshots.map(snapshot => {
+                const label = `${snapshot.name} — ${snapshot.rootTitle} (${snapshot.bookmarkCount})`;
+                const tooltip = `Taken ${new Date(snapshot.createdAt).toLocaleString()}: ${snapshot.bookmarkCount} bookmarks, ${snapshot.folderCount} folders`;
+                return `<option value="${snapshot.id}" title="${escapeHTML(tooltip)}">${escapeHTML(label)}</option>`;
+            }).join('');
+            if (snapshots.some(snapshot => snapshot.id === previouslySelected)) snapshotSelect.value = previouslySelected;
+        }
+
+        compareSelect.innerHTML = '<option value="" selected>Live bookmarks</option>'
+            + snapshots.map(snapshot => `<option value="${snapshot.id}">${escapeHTML(snapshot.name)}</option>`).join('');
+    } catch (error) {
+        console.error("Error listing snapshots:", error.message);
+        snapshotSelect.innerHTML = '<option value="" disabled selected>Error loading snapshots</option>';
+        showFeedback(`Error loading snapshots: ${error.message}`, true);
+    }
+}
+
+function getSelectedSnapshotId() {
+    const snapshotSelect = document.getElementById('snapshotSelect');
+    const option = snapshotSelect.options[snapshotSelect.selectedIndex];
+    return option && !option.disabled ? option.value : null;
+}
+
+/**
+ * Saves a snapshot of the whole tree, or of the folder selected in the folder tree, per 'snapshotScope'.
+ */
+async function takeSnapshotFromPopup() {
+    const nameInput = document.getElementById('snapshotNameInput');
+    const scope = document.getElementById('snapshotScope').value;
+
+    let rootId = null;
+    if (scope === 'folder') {
+        rootId = folderTree.getSelected()?.id;
+        if (!rootId) {
+            showFeedback("No valid folder selected to snapshot.", true);
+            return;
+        }
+    }
+
+    showFeedback("Taking snapshot...", false, 0);
+    try {
+        const snapshot = await takeSnapshot(nameInput.value.trim(), rootId);
+        nameInput.value = '';
+        showFeedback(`Snapshot '${snapshot.name}' saved (${snapshot.bookmarkCount} bookmarks).`, false);
+        await refreshSnapshotList();
+        document.getElementById('snapshotSelect').value = snapshot.id;
+    } catch (error) {
+        console.error("Error taking snapshot:", error.message);
+        showFeedback(`Error taking snapshot: ${error.message}`, true);
+    }
+}
+
+/**
+ * Shows what changed between the selected snapshot and the comparison target in 'snapshotDiff'.
+ */
+async function diffSelectedSnapshot() {
+    const snapshotId = getSelectedSnapshotId();
+    const compareId = document.getElementById('snapshotCompareSelect').value || null;
+    const diffOutput = document.getElementById('snapshotDiff');
+    if (!snapshotId) {
+        showFeedback("Select a snapshot to compare.", true);
+        return;
+    }
+    if (snapshotId === compareId) {
+        showFeedback("Pick a different snapshot (or Live bookmarks) to compare with.", true);
+        return;
+    }
+
+    try {
+        const { added, removed, moved, retitled } = await diffSnapshots(snapshotId, compareId);
+        const lines = [];
+        added.forEach(item => lines.push(`+ ${item.title} (${item.path})`));
+        removed.forEach(item => lines.push(`- ${item.title} (${item.path})`));
+        moved.forEach(item => lines.push(`> ${item.title}: ${item.fromPath} → ${item.toPath}`));
+        retitled.forEach(item => lines.push(`~ ${item.fromTitle} → ${item.toTitle}`));
+        diffOutput.textContent = lines.length > 0 ? lines.join('\n') : 'No differences.';
+        showFeedback(`${added.length} added, ${removed.length} removed, ${moved.length} moved, ${retitled.length} retitled.`, false, 8000);
+    } catch (error) {
+        console.error("Error comparing snapshots:", error.message);
+        showFeedback(`Error comparing: ${error.message}`, true);
+    }
+}
+
+/**
+ * Re-creates the bookmarks and folders of the selected snapshot that are missing from the live tree.
+ */
+async function restoreSelectedSnapshot() {
+    const snapshotId = getSelectedSnapshotId();
+    if (!snapshotId) {
+        showFeedback("Select a snapshot to restore.", true);
+        return;
+    }
+    if (!confirm("Re-create every bookmark and folder from this snapshot that is missing now? Existing items are left as they are.")) return;
+
+    showFeedback("Restoring snapshot...", false, 0);
+    try {
+        const report = await sendRequest('restoreSnapshot', { snapshotId });
+        let feedbackMessage = `Restored ${report.bookmarksCreated} bookmark(s) and ${report.foldersCreated} folder(s).`;
+        if (report.skipped > 0) feedbackMessage += ` ${report.skipped} already present.`;
+        if (report.failed > 0) feedbackMessage += ` ${report.failed} failed.`;
+        showFeedback(feedbackMessage, report.failed > 0 && report.bookmarksCreated === 0, 8000);
+
+        if (report.foldersCreated > 0) {
+            const allFoldersFlat = await getFullFolderHierarchy(true);
+            await updateFolderTree(allFoldersFlat, folderTree.getSelected()?.id);
+        }
+        await populateBookmarkFolderOptions(true);
+    } catch (error) {
+        console.error("Error restoring snapshot:", error.message);
+        showFeedback(`Error restoring: ${error.message}`, true);
+    }
+}
+
+/**
+ * Deletes the selected snapshot.
+ */
+async function deleteSelectedSnapshot() {
+    const snapshotId = getSelectedSnapshotId();
+    if (!snapshotId) {
+        showFeedback("Select a snapshot to delete.", true);
+        return;
+    }
+    if (!confirm("Delete this snapshot? This cannot be undone.")) return;
+
+    try {
+        await deleteSnapshot(snapshotId);
+        document.getElementById('snapshotDiff').textContent = '';
+        showFeedback("Snapshot deleted.", false);
+        await refreshSnapshotList();
+    } catch (error) {
+        console.error("Error deleting snapshot:", error.message);
+        showFeedback(`Error deleting snapshot: ${error.message}`, true);
+    }
+}
+
+// --- DUPLICATES ---
+let lastDuplicateGroups = []; // Result of the last duplicate scan, resolved by resolveDuplicates()
+
+/**
+ * Scans the whole tree for bookmarks with the same normalized URL and lists them in 'duplicateReport'.
+ */
+async function scanDuplicates() {
+    const report = document.getElementById('duplicateReport');
+    report.textContent = '';
+    showFeedback("Scanning for duplicates...", false, 0);
+
+    try {
+        lastDuplicateGroups = await findDuplicateGroups();
+        if (lastDuplicateGroups.length === 0) {
+            report.textContent = 'No duplicates found.';
+            showFeedback("No duplicates found.", false);
+            return;
+        }
+
+        const lines = [];
+        lastDuplicateGroups.forEach(group => {
+            lines.push(`${group.normalizedUrl} (${group.bookmarks.length})`);
+            group.bookmarks.forEach(bookmark => {
+                const added = bookmark.dateAdded ? new Date(bookmark.dateAdded).toLocaleDateString() : '?';
+                lines.push(`  ${bookmark.title || bookmark.url} — ${bookmark.folderPath} (${added})`);
+            });
+        });
+        report.textContent = lines.join('\n');
+        const copies = lastDuplicateGroups.reduce((total, group) => total + group.bookmarks.length, 0);
+        showFeedback(`${lastDuplicateGroups.length} duplicated page(s), ${copies} copies in total.`, false, 6000);
+    } catch (error) {
+        console.error("Error scanning for duplicates:", error.message);
+        showFeedback(`Error scanning for duplicates: ${error.message}`, true);
+    }
+}
+
+/**
+ * Moves the extra copies found by the last scan to the trash, per the strategy in 'duplicateStrategy'.
+ */
+async function resolveDuplicates() {
+    const strategy = document.getElementById('duplicateStrategy').value;
+    if (lastDuplicateGroups.length === 0) {
+        showFeedback("Scan for duplicates first.", true);
+        return;
+    }
+
+    const idsToDelete = planDuplicateResolution(lastDuplicateGroups, strategy);
+    if (idsToDelete.length === 0) {
+        showFeedback("Nothing to remove with this option.", false);
+        return;
+    }
+    if (!confirm(`Move ${idsToDelete.length} duplicate bookmark(s) to the trash?`)) return;
+
+    try {
+        const { trashed, failed } = await sendRequest('delete', { bookmarkIds: idsToDelete });
+        let feedbackMessage = `${trashed} duplicate(s) moved to trash.`;
+        if (failed > 0) feedbackMessage += ` ${failed} failed.`;
+        showFeedback(feedbackMessage, failed > 0 && trashed === 0);
+        await scanDuplicates(); // Show what's left
+        await populateBookmarkFolderOptions(true);
+        if (isTrashPanelOpen()) await refreshTrashList();
+    } catch (error) {
+        console.error("Error resolving duplicates:", error.message);
+        showFeedback(`Error resolving duplicates: ${error.message}`, true);
+    }
+}
+
+// --- FOLDER SORTING ---
+
+/**
+ * Sort options chosen in the 'Sort selected folder' panel.
+ */
+function getSortOptions() {
+    return {
+        by: document.getElementById('sortBy').value,
+        group: document.getElementById('sortGroup').value,
+        reverse: document.getElementById('sortReverse').checked,
+        recursive: document.getElementById('sortRecursive').checked
     };
 }
 
 /**
- * Filters the options in the main folder dropdown based on the search input.
+ * Shows in 'sortPreview' how the selected folder would be reordered, without moving anything.
  */
-function filterFolderOptions(isInitialCall = false) { // isInitialCall not actively used for optimization yet
-    const searchInput = document.getElementById('searchInput');
-    const filter = searchInput.value.toLowerCase().trim();
-    const select = document.getElementById('folderSelect');
-    const options = Array.from(select.options);
+async function previewFolderSort() {
+    const folder = getSelectedFolder("sort");
+    if (!folder) return;
+    const preview = document.getElementById('sortPreview');
+    try {
+        const plan = await planFolderSort(folder.id, getSortOptions());
+        preview.textContent = describeFolderSort(plan).join('\n');
+    } catch (error) {
+        console.error("Error previewing sort:", error.message);
+        preview.textContent = '';
+        showFeedback(`Error previewing sort: ${error.message}`, true);
+    }
+}
 
-    const previouslySelectedValue = select.value;
-    let firstVisibleSelectableValue = null;
-    let isPreviouslySelectedOptionVisibleAndSelectable = false;
+/**
+ * Sorts the selected folder (and its subfolders, if chosen) after confirming.
+ */
+async function sortSelectedFolder() {
+    const folder = getSelectedFolder("sort");
+    if (!folder) return;
+    const preview = document.getElementById('sortPreview');
+    try {
+        const plan = await planFolderSort(folder.id, getSortOptions());
+        const changedCount = plan.folders.filter(entry => entry.changed).length;
+        if (changedCount === 0) {
+            showFeedback(`'${plan.folderTitle}' is already in this order.`, false);
+            return;
+        }
+        if (!confirm(`Reorder ${changedCount} folder(s) in '${plan.folderTitle}'? Revert last sort puts the old order back.`)) return;
 
-    options.forEach(option => {
-        const isPlaceholderOrDisabled = option.disabled || option.value === "" || option.value.startsWith("ACTION_");
-        
-        if (isPlaceholderOrDisabled) {
-            option.style.display = (filter === "" || (option.dataset.title && option.dataset.title.includes(filter))) ? '' : 'none';
+        const { foldersSorted, moves, lines } = await sendRequest('sortFolder', { folderId: folder.id, options: getSortOptions() });
+        preview.textContent = lines.join('\n');
+        showFeedback(`Sorted ${foldersSorted} folder(s), ${moves} item(s) moved.`, false);
+    } catch (error) {
+        console.error("Error sorting folder:", error.message);
+        showFeedback(`Error sorting folder: ${error.message}`, true);
+    }
+}
+
+/**
+ * Puts the folders changed by the last sort back in their previous order.
+ */
+async function revertFolderSort() {
+    try {
+        const lastSort = await getLastFolderSort();
+        if (!lastSort) {
+            showFeedback("There is no sort to revert.", true);
             return;
         }
+        const { folderTitle, foldersRestored, moves } = await sendRequest('revertFolderSort');
+        document.getElementById('sortPreview').textContent = '';
+        showFeedback(`Restored the previous order of ${foldersRestored} folder(s) in '${folderTitle}', ${moves} item(s) moved.`, false);
+    } catch (error) {
+        console.error("Error reverting sort:", error.message);
+        showFeedback(`Error reverting sort: ${error.message}`, true);
+    }
+}
 
-        const title = option.dataset.title; 
-        const isVisible = title.includes(filter);
-        option.style.display = isVisible ? '' : 'none';
+// --- TITLES ---
 
-        if (isVisible) {
-            if (firstVisibleSelectableValue === null) firstVisibleSelectableValue = option.value;
-            if (option.value === previouslySelectedValue) isPreviouslySelectedOptionVisibleAndSelectable = true;
+/**
+ * Fills 'titleInput' with the title the active tab would be saved with (see titles.js), so it can be edited first.
+ * With several tabs highlighted each one is titled by the rules, so the field is disabled.
+ */
+async function prefillTitleInput() {
+    const titleInput = document.getElementById('titleInput');
+    try {
+        const tabs = await queryTabsAsync({ highlighted: true, currentWindow: true });
+        if (tabs.length !== 1) {
+            titleInput.disabled = true;
+            titleInput.placeholder = `${tabs.length} tabs: each titled by the title rules`;
+            return;
         }
-    });
+        if (!isBookmarkableUrl(tabs[0].url, currentSettings)) return;
+        titleInput.value = formatBookmarkTitle(tabs[0].title, tabs[0].url, await getTitleRules());
+    } catch (error) {
+        console.error("Error suggesting a title:", error.message);
+    }
+}
 
-    if (filter === "") {
-        const previousOptionElement = select.querySelector(`option[value="${previouslySelectedValue}"]`);
-        if (previousOptionElement && previousOptionElement.style.display !== 'none') {
-            select.value = previouslySelectedValue;
-        } else {
-            const firstEnabledOption = options.find(opt => !opt.disabled && opt.style.display !== 'none' && opt.value);
-            if (firstEnabledOption) select.value = firstEnabledOption.value;
+/**
+ * Options chosen in the 'Clean up titles' panel.
+ */
+function getTitleCleanupOptions() {
+    return {
+        recursive: document.getElementById('titleRecursive').checked,
+        useTemplates: document.getElementById('titleUseTemplates').checked
+    };
+}
+
+/**
+ * Shows in 'titlePreview' how the title rules would rename the selected folder's bookmarks, without renaming anything.
+ */
+async function previewTitleCleanup() {
+    const folder = getSelectedFolder("clean up");
+    if (!folder) return;
+    const preview = document.getElementById('titlePreview');
+    try {
+        const plan = await planTitleCleanup(folder.id, getTitleCleanupOptions());
+        preview.textContent = describeTitleCleanup(plan).join('\n');
+    } catch (error) {
+        console.error("Error previewing title cleanup:", error.message);
+        preview.textContent = '';
+        showFeedback(`Error previewing titles: ${error.message}`, true);
+    }
+}
+
+/**
+ * Renames the selected folder's bookmarks by the title rules, after confirming.
+ */
+async function cleanUpSelectedFolderTitles() {
+    const folder = getSelectedFolder("clean up");
+    if (!folder) return;
+    const preview = document.getElementById('titlePreview');
+    try {
+        const plan = await planTitleCleanup(folder.id, getTitleCleanupOptions());
+        preview.textContent = describeTitleCleanup(plan).join('\n');
+        if (plan.changes.length === 0) {
+            showFeedback(`Titles in '${plan.folderTitle}' already follow the rules.`, false);
+            return;
         }
-    } else {
-        if (isPreviouslySelectedOptionVisibleAndSelectable) {
-            select.value = previouslySelectedValue;
-        } else if (firstVisibleSelectableValue) {
-            select.value = firstVisibleSelectableValue;
+        if (!confirm(`Rename ${plan.changes.length} bookmark(s) in '${plan.folderTitle}'? The old titles are not kept.`)) return;
+
+        const { renamed, failed } = await sendRequest('cleanUpTitles', { folderId: folder.id, options: getTitleCleanupOptions() });
+        showFeedback(`Renamed ${renamed} bookmark(s)${failed > 0 ? `, ${failed} failed` : ''}.`, failed > 0 && renamed === 0);
+        if (lastSearchResults.length > 0) await searchBookmarkFolder({ keepSelection: true }); // Show the new titles in the results
+    } catch (error) {
+        console.error("Error cleaning up titles:", error.message);
+        showFeedback(`Error renaming bookmarks: ${error.message}`, true);
+    }
+}
+
+// --- FILING RULES ---
+
+function isFilingPanelOpen() {
+    const filingPanel = document.getElementById('filingPanel');
+    return !!(filingPanel && filingPanel.open);
+}
+
+/**
+ * Lists the filing rules in 'filingRuleSelect' in priority order.
+ * @param {string|null} ruleIdToSelect - Rule to keep selected.
+ */
+async function refreshFilingRuleList(ruleIdToSelect = null) {
+    const ruleSelect = document.getElementById('filingRuleSelect');
+    const selectedRuleId = ruleIdToSelect || ruleSelect.value;
+
+    try {
+        const rules = await getFilingRules();
+        if (rules.length === 0) {
+            ruleSelect.innerHTML = '<option value="" disabled>No rules: everything goes to the selected folder</option>';
+            return;
+        }
+        ruleSelect.innerHTML = rules.map((rule, index) => {
+            const folderTitle = globalFolderTitleMap?.get(rule.folderId);
+            const target = folderTitle ? `'${folderTitle}'` : '(folder deleted, rule skipped)';
+            const label = `${index + 1}. ${FILING_RULE_TYPES[rule.type]}: ${rule.pattern} → ${target}`;
+            return `<option value="${rule.id}">${escapeHTML(label)}</option>`;
+        }).join('');
+        if (selectedRuleId && ruleSelect.querySelector(`option[value="${selectedRuleId}"]`)) {
+            ruleSelect.value = selectedRuleId;
         }
+    } catch (error) {
+        console.error("Error loading filing rules:", error.message);
+        ruleSelect.innerHTML = '<option value="" disabled>Error loading rules</option>';
+    }
+}
+
+/**
+ * Adds a rule from 'filingRuleType' and 'filingRulePattern' that files matches into the selected folder.
+ * New rules go last, i.e. lowest priority.
+ */
+async function addFilingRule() {
+    const folder = getSelectedFolder("file matching tabs into");
+    const patternInput = document.getElementById('filingRulePattern');
+    if (!folder) return;
+
+    const rule = {
+        id: `${Date.now()}`,
+        type: document.getElementById('filingRuleType').value,
+        pattern: patternInput.value.trim(),
+        folderId: folder.id
+    };
+    try {
+        validateFilingRule(rule);
+        const rules = await getFilingRules();
+        await setFilingRules([...rules, rule]);
+        patternInput.value = '';
+        await refreshFilingRuleList(rule.id);
+        showFeedback(`Rule added: ${FILING_RULE_TYPES[rule.type]} '${rule.pattern}' → '${folder.name}'.`, false);
+    } catch (error) {
+        console.error("Error adding filing rule:", error.message);
+        showFeedback(`Error adding rule: ${error.message}`, true);
+    }
+}
+
+/**
+ * Moves the rule selected in 'filingRuleSelect' up (-1) or down (+1) in priority.
+ */
+async function moveSelectedFilingRule(offset) {
+    const ruleId = document.getElementById('filingRuleSelect').value;
+    if (!ruleId) {
+        showFeedback("Select a rule first.", true);
+        return;
+    }
+
+    try {
+        const rules = await getFilingRules();
+        const index = rules.findIndex(rule => rule.id === ruleId);
+        const newIndex = index + offset;
+        if (index === -1 || newIndex < 0 || newIndex >= rules.length) return;
+        [rules[index], rules[newIndex]] = [rules[newIndex], rules[index]];
+        await setFilingRules(rules);
+        await refreshFilingRuleList(ruleId);
+    } catch (error) {
+        console.error("Error reordering filing rules:", error.message);
+        showFeedback(`Error reordering rules: ${error.message}`, true);
+    }
+}
+
+/**
+ * Removes the rule selected in 'filingRuleSelect'.
+ */
+async function removeSelectedFilingRule() {
+    const ruleId = document.getElementById('filingRuleSelect').value;
+    if (!ruleId) {
+        showFeedback("Select a rule first.", true);
+        return;
+    }
+
+    try {
+        const rules = await getFilingRules();
+        await setFilingRules(rules.filter(rule => rule.id !== ruleId));
+        await refreshFilingRuleList();
+        showFeedback("Rule removed.", false);
+    } catch (error) {
+        console.error("Error removing filing rule:", error.message);
+        showFeedback(`Error removing rule: ${error.message}`, true);
+    }
+}
+
+/**
+ * Shows which folder the URL (and optional title) in the test inputs would be saved to.
+ */
+async function testFilingRules() {
+    const url = document.getElementById('filingTestUrl').value.trim();
+    const title = document.getElementById('filingTestTitle').value.trim();
+    const resultBox = document.getElementById('filingTestResult');
+    if (!url) {
+        showFeedback("Enter a URL to test.", true);
+        return;
+    }
+
+    try {
+        const [rules, { defaultFolderId }] = await Promise.all([getFilingRules(), getStorageAsync(['defaultFolderId'])]);
+        const existingFolderIds = new Set((globalFlatFolderList || []).map(folder => folder.id));
+        const { folderId, rule } = resolveFilingFolder(rules, { url, title }, defaultFolderId || null, existingFolderIds);
+        const folderTitle = globalFolderTitleMap?.get(folderId) || '(no folder)';
+
+        resultBox.textContent = rule
+            ? `→ '${folderTitle}'\n  by rule ${rules.indexOf(rule) + 1}: ${FILING_RULE_TYPES[rule.type]} '${rule.pattern}'`
+            : `→ '${folderTitle}'\n  no rule matched, so the default folder`;
+    } catch (error) {
+        console.error("Error testing filing rules:", error.message);
+        resultBox.textContent = `Error: ${error.message}`;
+    }
+}
+
+// --- SESSIONS ---
+
+/**
+ * Lists what 'sessionSource' can save: the whole current window, or one of its tab groups.
+ */
+async function populateSessionSources() {
+    const sourceSelect = document.getElementById('sessionSource');
+    try {
+        const [tabs, groups] = await Promise.all([
+            queryTabsAsync({ currentWindow: true }),
+            queryTabGroupsAsync({ windowId: chrome.windows.WINDOW_ID_CURRENT })
+        ]);
+        sourceSelect.innerHTML = `<option value="" selected>Whole window (${tabs.length} tabs)</option>`
+            + groups.map(group => {
+                const groupSize = tabs.filter(tab => tab.groupId === group.id).length;
+                const label = `Group: ${group.title || '(unnamed)'} (${group.color}, ${groupSize} tabs)`;
+                return `<option value="${group.id}">${escapeHTML(label)}</option>`;
+            }).join('');
+    } catch (error) {
+        console.error("Error listing tab groups:", error.message);
+        sourceSelect.innerHTML = '<option value="" selected>Whole window</option>';
+    }
+}
+
+/**
+ * Saves the current window (or the group chosen in 'sessionSource') as a new subfolder of the selected folder.
+ */
+async function saveSessionFromPopup() {
+    const parent = getSelectedFolder("save the session in");
+    const nameInput = document.getElementById('sessionNameInput');
+    const sourceValue = document.getElementById('sessionSource').value;
+    if (!parent) return;
+
+    try {
+        const [activeTab] = await queryTabsAsync({ active: true, currentWindow: true });
+        const report = await sendRequest('saveSession', {
+            parentId: parent.id,
+            name: nameInput.value,
+            windowId: activeTab.windowId,
+            groupId: sourceValue ? Number(sourceValue) : null
+        });
+        nameInput.value = '';
+        let feedbackMessage = `Session '${report.folderTitle}' saved in '${parent.name}': ${report.saved} tab(s)`;
+        if (report.groups > 0) feedbackMessage += `, ${report.groups} group(s)`;
+        feedbackMessage += '.';
+        if (report.skipped > 0) feedbackMessage += ` ${report.skipped} tab(s) can't be bookmarked.`;
+        showFeedback(feedbackMessage, false, 5000);
+    } catch (error) {
+        console.error("Error saving session:", error.message);
+        showFeedback(`Error saving session: ${error.message}`, true);
+    }
+}
+
+/**
+ * Opens the selected folder in a new window, with the tab groups it was saved with.
+ */
+async function restoreSelectedSession() {
+    const folder = getSelectedFolder("open as a window");
+    if (!folder) return;
+
+    try {
+        // The popup usually closes once the new window opens, so this feedback may not be seen
+        const { opened, groups } = await sendRequest('restoreSession', { folderId: folder.id });
+        showFeedback(`Opened ${opened} tab(s)${groups > 0 ? ` in ${groups} group(s)` : ''}.`, false);
+    } catch (error) {
+        console.error("Error restoring session:", error.message);
+        showFeedback(`Error opening folder: ${error.message}`, true);
+    }
+}
+
+// --- QUICK-SAVE SLOTS ---
+
+const getAllCommandsAsync = promisify(chrome.commands, 'getAll');
+
+/**
+ * Lists the slots in 'slotSelect' with their folders and shortcuts. Slots whose folder was deleted are flagged,
+ * in the list and in the panel's summary line, so they show up even while the panel is closed.
+ * @param {number|null} slotToSelect - Slot to keep selected.
+ */
+async function refreshSlotList(slotToSelect = null) {
+    const slotSelect = document.getElementById('slotSelect');
+    const slotSummary = document.querySelector('#slotPanel summary');
+    if (!slotSelect) return;
+    const selectedSlot = slotToSelect || Number(slotSelect.value) || null;
+
+    try {
+        const [slots, commands] = await Promise.all([getSaveSlots(), getAllCommandsAsync()]);
+        const shortcuts = new Map(commands.map(command => [command.name, command.shortcut]));
+        let deletedCount = 0;
+
+        slotSelect.innerHTML = slots.map(({ slot, name, folderId }) => {
+            let target = '(empty)';
+            if (folderId) {
+                const folderTitle = globalFolderTitleMap?.get(folderId);
+                if (folderTitle) {
+                    target = `'${folderTitle}'`;
+                } else {
+                    target = '⚠ folder deleted';
+                    deletedCount++;
+                }
+            }
+            const shortcut = shortcuts.get(`save-to-slot-${slot}`) || 'no shortcut';
+            return `<option value="${slot}">${escapeHTML(`${name}: ${target} [${shortcut}]`)}</option>`;
+        }).join('');
+        if (selectedSlot) slotSelect.value = `${selectedSlot}`;
+        if (slotSummary) {
+            slotSummary.textContent = deletedCount > 0 ? `Quick-save slots (⚠ ${deletedCount} folder(s) deleted)` : 'Quick-save slots';
+        }
+    } catch (error) {
+        console.error("Error loading save slots:", error.message);
+        slotSelect.innerHTML = '<option value="" disabled>Error loading slots</option>';
+    }
+}
+
+/**
+ * Binds the slot selected in 'slotSelect' to the folder selected in the folder tree,
+ * named after 'slotNameInput' (or keeping its current name if that is empty).
+ */
+async function assignSelectedSlot() {
+    const slot = Number(document.getElementById('slotSelect').value);
+    const nameInput = document.getElementById('slotNameInput');
+    const folder = getSelectedFolder("assign to the slot");
+    if (!folder) return;
+    if (!slot) {
+        showFeedback("Select a slot first.", true);
+        return;
+    }
+
+    try {
+        const current = await getSaveSlot(slot);
+        const name = nameInput.value.trim() || (current.name === `Slot ${slot}` ? '' : current.name);
+        await setSaveSlot(slot, folder.id, name);
+        nameInput.value = '';
+        await refreshSlotList(slot);
+        showFeedback(`${name || `Slot ${slot}`} now saves to '${folder.name}'.`, false);
+    } catch (error) {
+        console.error("Error assigning save slot:", error.message);
+        showFeedback(`Error assigning slot: ${error.message}`, true);
+    }
+}
+
+/**
+ * Unbinds the slot selected in 'slotSelect'.
+ */
+async function clearSelectedSlot() {
+    const slot = Number(document.getElementById('slotSelect').value);
+    if (!slot) {
+        showFeedback("Select a slot first.", true);
+        return;
+    }
+
+    try {
+        await setSaveSlot(slot, null);
+        await refreshSlotList(slot);
+        showFeedback(`Slot ${slot} cleared.`, false);
+    } catch (error) {
+        console.error("Error clearing save slot:", error.message);
+        showFeedback(`Error clearing slot: ${error.message}`, true);
+    }
+}
+
+// --- FOLDER MANAGEMENT ---
+
+/**
+ * Returns {id, name} of the folder selected in the folder tree, or null (with feedback) if none is.
+ */
+function getSelectedFolder(purpose) {
+    const selectedFolder = folderTree.getSelected();
+    if (!selectedFolder) {
+        showFeedback(`No valid folder selected to ${purpose}.`, true);
+        return null;
+    }
+    return { id: selectedFolder.id, name: selectedFolder.title };
+}
+
+/**
+ * Re-reads the folder hierarchy after this popup changed folders, so the cache and dropdowns
+ * reflect the change right away, then selects the given folder.
+ */
+async function refreshFoldersAfterChange(folderIdToSelect) {
+    const allFoldersFlat = await getFullFolderHierarchy(true);
+    await updateFolderTree(allFoldersFlat, folderIdToSelect);
+    populateMergeTargetOptions();
+    await populateBookmarkFolderOptions(true);
+}
+
+/**
+ * Lists every folder in 'mergeTargetSelect', indented by depth.
+ */
+function populateMergeTargetOptions() {
+    const mergeTargetSelect = document.getElementById('mergeTargetSelect');
+    if (!mergeTargetSelect) return;
+    const previouslySelected = mergeTargetSelect.value;
+    mergeTargetSelect.innerHTML = '<option value="" disabled selected>Merge into...</option>'
+        + (globalFlatFolderList || []).map(folder =>
+            `<option value="${folder.id}">${' '.repeat(folder.depth * 4)}${escapeHTML(folder.title)}</option>`
+        ).join('');
+    if (previouslySelected && mergeTargetSelect.querySelector(`option[value="${previouslySelected}"]`)) {
+        mergeTargetSelect.value = previouslySelected;
+    }
+}
+
+/**
+ * Creates a subfolder named after 'folderNameInput' under the selected folder, and selects it.
+ */
+async function createSubfolder() {
+    const parent = getSelectedFolder("create a subfolder in");
+    const nameInput = document.getElementById('folderNameInput');
+    if (!parent) return;
+
+    try {
+        const folder = await createFolder(parent.id, nameInput.value);
+        nameInput.value = '';
+        await refreshFoldersAfterChange(folder.id);
+        showFeedback(`Folder '${folder.title}' created in '${parent.name}'.`, false);
+    } catch (error) {
+        console.error("Error creating folder:", error.message);
+        showFeedback(`Error creating folder: ${error.message}`, true);
+    }
+}
+
+/**
+ * Renames the selected folder to the text in 'folderNameInput'.
+ */
+async function renameSelectedFolder() {
+    const folder = getSelectedFolder("rename");
+    const nameInput = document.getElementById('folderNameInput');
+    if (!folder) return;
+
+    try {
+        const renamed = await renameFolder(folder.id, nameInput.value);
+        nameInput.value = '';
+        await refreshFoldersAfterChange(folder.id);
+        showFeedback(`'${folder.name}' renamed to '${renamed.title}'.`, false);
+    } catch (error) {
+        console.error("Error renaming folder:", error.message);
+        showFeedback(`Error renaming folder: ${error.message}`, true);
+    }
+}
+
+/**
+ * Deletes the selected folder and everything in it, after confirming the counts.
+ */
+async function deleteSelectedFolder() {
+    const folder = getSelectedFolder("delete");
+    if (!folder) return;
+
+    try {
+        const { bookmarks, folders } = await countFolderContents(folder.id);
+        const confirmationMessage = `DELETE folder '${folder.name}' with ${bookmarks} bookmark(s) and ${folders} subfolder(s)?`
+            + (bookmarks > 0 ? ' The bookmarks can be restored from the Trash (into the default folder).' : '');
+        if (!confirm(confirmationMessage)) return;
+
+        const { trashed } = await sendRequest('deleteFolder', { folderId: folder.id });
+        await refreshFoldersAfterChange(null);
+        showFeedback(`Folder '${folder.name}' deleted, ${trashed} bookmark(s) moved to trash.`, false);
+        if (isTrashPanelOpen()) await refreshTrashList();
+    } catch (error) {
+        console.error("Error deleting folder:", error.message);
+        showFeedback(`Error deleting folder: ${error.message}`, true);
     }
 }
 
 /**
- * Handles chrome.bookmarks events. Since this extension doesn't modify folders,
- * this only resets the flag for the second dropdown to ensure it refreshes on next interaction.
+ * Merges the selected folder into the folder chosen in 'mergeTargetSelect'.
+ */
+async function mergeSelectedFolder() {
+    const source = getSelectedFolder("merge");
+    const mergeTargetSelect = document.getElementById('mergeTargetSelect');
+    const targetOption = mergeTargetSelect.options[mergeTargetSelect.selectedIndex];
+    if (!source) return;
+    if (!mergeTargetSelect.value || (targetOption && targetOption.disabled)) {
+        showFeedback("Choose a folder to merge into.", true);
+        return;
+    }
+    const targetId = mergeTargetSelect.value;
+    const targetName = targetOption.textContent.trim();
+
+    if (!confirm(`Move everything in '${source.name}' into '${targetName}' and remove '${source.name}'? Bookmarks already in '${targetName}' go to the Trash.`)) return;
+
+    try {
+        const report = await sendRequest('mergeFolders', { sourceId: source.id, targetId });
+        await refreshFoldersAfterChange(targetId);
+        let feedbackMessage = `Merged into '${targetName}': ${report.bookmarksMoved} bookmark(s), ${report.foldersMoved + report.foldersMerged} folder(s).`;
+        if (report.duplicatesTrashed > 0) feedbackMessage += ` ${report.duplicatesTrashed} duplicate(s) moved to trash.`;
+        showFeedback(feedbackMessage, false, 6000);
+    } catch (error) {
+        console.error("Error merging folders:", error.message);
+        showFeedback(`Error merging folders: ${error.message}`, true);
+        await refreshFoldersAfterChange(source.id); // A merge can fail halfway, show the current state
+    }
+}
+
+/**
+ * Debounce utility to limit how often a function can run.
+ */
+function debounce(func, wait) {
+    let timeout;
+    return function executedFunction(...args) {
+        const context = this;
+        const later = () => {
+            timeout = null;
+            func.apply(context, args);
+        };
+        clearTimeout(timeout);
+        timeout = setTimeout(later, wait);
+    };
+}
+
+/**
+ * Returns the part of a search query that should filter the folder list:
+ * its plain words and phrases, without operators or exclusions.
+ * Falls back to the raw text while the query is still being typed (e.g. an open quote).
+ */
+function getFolderFilterText(queryText) {
+    try {
+        return parseSearchQuery(queryText)
+            .filter(clause => clause.field === 'any' && !clause.negated)
+            .map(clause => clause.value)
+            .join(' ');
+    } catch (error) {
+        return queryText.toLowerCase().trim();
+    }
+}
+
+/**
+ * Narrows the folder tree to folders matching the search input, keeping their ancestors (see foldertree.js).
+ */
+function filterFolderTree() {
+    const searchInput = document.getElementById('searchInput');
+    folderTree.setFilter(getFolderFilterText(searchInput.value));
+}
+
+/**
+ * Handles chrome.bookmarks events. Folder changes reach the popup through the background's folder index
+ * (see handleFolderIndexChange), so this only resets the flag for the second dropdown to ensure it refreshes on next interaction.
  */
 async function handleBookmarkChange(id, eventData) {
     // console.log(`%cBookmark event detected (ID: ${id}, Data: ${JSON.stringify(eventData)}). Resetting 'hasPopulatedBookmarkFolders' flag.`, 'color: steelblue;');
@@ -825,7 +1997,7 @@ async function handleBookmarkChange(id, eventData) {
 
 /**
  * Handles the click event for the manual refresh button.
- * Forces a refresh of the main folder list cache.
+ * Forces a full rebuild of the folder index, in case it ever drifted from the real tree.
  */
 async function manualRefreshFolders() {
     showFeedback("Refreshing folder list...", false, 0); // Show persistent feedback
@@ -833,7 +2005,7 @@ async function manualRefreshFolders() {
     let refreshStart = performance.now();
     try {
         const allFoldersFlat = await getFullFolderHierarchy(true); // Force refresh
-        await updateFolderSelect(allFoldersFlat); // Update main dropdown
+        await updateFolderTree(allFoldersFlat, folderTree.getSelected()?.id); // Update the folder tree
         await populateBookmarkFolderOptions(true); // Force refresh second dropdown too
         
         showFeedback("Folder list refreshed!", false, 3000); // Success feedback
@@ -844,19 +2016,37 @@ async function manualRefreshFolders() {
     console.log(`Manual refresh process took ${performance.now() - refreshStart} ms.`);
 }
 
+/**
+ * Opens the statistics dashboard (dashboard.html) in a new tab.
+ */
+function openDashboard() {
+    chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html'), active: true });
+}
+
+/**
+ * Opens the options page (options.html).
+ */
+function openOptions() {
+    chrome.runtime.openOptionsPage();
+}
+
 // --- Main Initialization ---
 document.addEventListener('DOMContentLoaded', async () => {
     let perfStartDOM = performance.now();
     console.log("DOM fully loaded and parsed");
 
     // Get references to DOM elements
-    const folderSelect = document.getElementById('folderSelect');
+    const folderTreeElement = document.getElementById('folderTree');
     const searchInput = document.getElementById('searchInput');
     const bookmarkFolderSelectElement = document.getElementById('bookmarkFolderSelect');
     const refreshFoldersButton = document.getElementById('refreshFoldersButton');
 
     // Set initial states
-    folderSelect.innerHTML = '<option value="" disabled selected>Loading folders...</option>';
+    folderTreeElement.innerHTML = '<div class="tree-message">Loading folders...</div>';
+    folderTree = createFolderTree(folderTreeElement, {
+        breadcrumb: document.getElementById('folderBreadcrumb'),
+        onSelect: (folder, { byUser }) => { if (byUser) folderPickedByUser = true; }
+    });
     bookmarkFolderSelectElement.innerHTML = '<option value="" disabled selected>Current page locations</option>';
 
     // Helper to add click listeners
@@ -878,10 +2068,53 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Attach listeners to buttons
     addClickListener('setDefaultButton', setDefaultFolder);
-    addClickListener('searchFolder', searchBookmarkFolder);
+    addClickListener('searchFolder', async () => searchBookmarkFolder());
     addClickListener('saveButton', saveBookmark);
     addClickListener('moveButton', moveBookmark);   
     addClickListener('deleteButton', deleteBookmark); 
+    addClickListener('restoreTrashButton', restoreSelectedTrash);
+    addClickListener('purgeTrashButton', purgeSelectedTrash);
+    addClickListener('emptyTrashButton', emptyTrashBin);
+    addClickListener('importButton', importBookmarksFile);
+    addClickListener('exportButton', exportSelectedFolder);
+    addClickListener('createFolderButton', createSubfolder);
+    addClickListener('renameFolderButton', renameSelectedFolder);
+    addClickListener('deleteFolderButton', deleteSelectedFolder);
+    addClickListener('mergeFolderButton', mergeSelectedFolder);
+    addClickListener('previewSortButton', previewFolderSort);
+    addClickListener('sortFolderButton', sortSelectedFolder);
+    addClickListener('revertSortButton', revertFolderSort);
+    addClickListener('previewTitlesButton', previewTitleCleanup);
+    addClickListener('cleanTitlesButton', cleanUpSelectedFolderTitles);
+    addClickListener('openDashboardButton', openDashboard);
+    addClickListener('openOptionsButton', openOptions);
+    addClickListener('scanDuplicatesButton', scanDuplicates);
+    addClickListener('resolveDuplicatesButton', resolveDuplicates);
+    addClickListener('takeSnapshotButton', takeSnapshotFromPopup);
+    addClickListener('diffSnapshotButton', diffSelectedSnapshot);
+    addClickListener('restoreSnapshotButton', restoreSelectedSnapshot);
+    addClickListener('deleteSnapshotButton', deleteSelectedSnapshot);
+    addClickListener('addRuleButton', addFilingRule);
+    addClickListener('moveRuleUpButton', async () => moveSelectedFilingRule(-1));
+    addClickListener('moveRuleDownButton', async () => moveSelectedFilingRule(1));
+    addClickListener('removeRuleButton', removeSelectedFilingRule);
+    addClickListener('testRuleButton', testFilingRules);
+    addClickListener('assignSlotButton', assignSelectedSlot);
+    addClickListener('saveSessionButton', saveSessionFromPopup);
+    addClickListener('cancelOpenAllButton', cancelOpenAllFromPopup);
+    addClickListener('restoreSessionButton', restoreSelectedSession);
+    addClickListener('clearSlotButton', clearSelectedSlot);
+    addClickListener('saveNoteButton', async () => saveSelectedNote());
+    addClickListener('clearNoteButton', async () => saveSelectedNote(true));
+    addClickListener('selectAllResultsButton', () => setAllResultsSelected(true));
+    addClickListener('selectNoResultsButton', () => setAllResultsSelected(false));
+    addClickListener('openSelectedResultsButton', openSelectedResults);
+    addClickListener('moveSelectedResultsButton', moveSelectedResults);
+    addClickListener('copySelectedResultsButton', copySelectedResultUrls);
+    addClickListener('deleteSelectedResultsButton', deleteSelectedResults);
+    addClickListener('tagSelectedResultsButton', async () => tagSelectedResults(true));
+    addClickListener('untagSelectedResultsButton', async () => tagSelectedResults(false));
+    addClickListener('folderBookmarks', handleResultListClick);
     
     if (refreshFoldersButton) {
         refreshFoldersButton.addEventListener('click', manualRefreshFolders);
@@ -899,9 +2132,98 @@ document.addEventListener('DOMContentLoaded', async () => {
         }); // Allow re-populating on focus if flag was reset
     }
 
+    // Trash view loads its contents when opened
+    const trashPanel = document.getElementById('trashPanel');
+    const trashRetentionInput = document.getElementById('trashRetentionInput');
+    if (trashPanel && trashRetentionInput) {
+        trashPanel.addEventListener('toggle', async () => {
+            if (trashPanel.open) {
+                trashRetentionInput.value = await getTrashRetentionDays();
+                await refreshTrashList(true);
+            }
+        });
+        trashRetentionInput.addEventListener('change', saveTrashRetention);
+    } else {
+        console.warn("Trash view elements not found.");
+    }
+
+    // Merge targets are listed when the folder panel is opened
+    const folderPanel = document.getElementById('folderPanel');
+    if (folderPanel) {
+        folderPanel.addEventListener('toggle', () => {
+            if (folderPanel.open) populateMergeTargetOptions();
+        });
+    }
+
+    // Snapshot list loads when the panel is opened
+    const snapshotPanel = document.getElementById('snapshotPanel');
+    if (snapshotPanel) {
+        snapshotPanel.addEventListener('toggle', async () => {
+            if (snapshotPanel.open) await refreshSnapshotList();
+        });
+    }
+
+    // Open All options load when the panel is opened and are saved on every change
+    const openAllPanel = document.getElementById('openAllPanel');
+    if (openAllPanel) {
+        openAllPanel.addEventListener('toggle', async () => {
+            if (openAllPanel.open) await loadOpenAllOptions();
+        });
+        ['openAllTarget', 'openAllGroupTitle', 'openAllLazy', 'openAllBatchSize', 'openAllMaxTabs'].forEach(id => {
+            document.getElementById(id).addEventListener('change', saveOpenAllOptionsFromPopup);
+        });
+    }
+    chrome.runtime.onMessage.addListener(handleOpenAllProgress);
+
+    // Session sources (window and its tab groups) load when the panel is opened
+    const sessionPanel = document.getElementById('sessionPanel');
+    if (sessionPanel) {
+        sessionPanel.addEventListener('toggle', async () => {
+            if (sessionPanel.open) await populateSessionSources();
+        });
+    }
+
+    // Note targets load when the panel is opened; picking one shows its note
+    const notePanel = document.getElementById('notePanel');
+    if (notePanel) {
+        notePanel.addEventListener('toggle', async () => {
+            if (notePanel.open) await populateNoteTargets();
+        });
+        document.getElementById('noteTargetSelect').addEventListener('change', loadSelectedNote);
+    }
+
+    // Filing rules load when the panel is opened
+    const filingPanel = document.getElementById('filingPanel');
+    if (filingPanel) {
+        filingPanel.addEventListener('toggle', async () => {
+            if (filingPanel.open) await refreshFilingRuleList();
+        });
+    }
+
+    // Tag suggestions follow what is typed after the last comma
+    const tagInput = document.getElementById('tagInput');
+    if (tagInput) {
+        tagInput.addEventListener('focus', loadKnownTags);
+        tagInput.addEventListener('input', updateTagSuggestions);
+    }
+
+    // Settings decide the search delay below, so they load before the listeners that use them
+    try {
+        currentSettings = await getSettings();
+    } catch (error) {
+        console.error("Error loading settings, using the defaults:", error.message);
+    }
+
     // Listener for folder filtering input
     if (searchInput) {
-        searchInput.addEventListener('input', debounce(() => filterFolderOptions(false), 250));
+        searchInput.addEventListener('input', debounce(filterFolderTree, currentSettings.searchDelayMs));
+        // Down arrow goes from the filter text into the tree
+        searchInput.addEventListener('keydown', (event) => {
+            if (event.key === 'ArrowDown') {
+                event.preventDefault();
+                folderTree.focus();
+            }
+        });
     } else {
          console.warn("'searchInput' not found.");
     }
@@ -921,18 +2243,23 @@ document.addEventListener('DOMContentLoaded', async () => {
     chrome.bookmarks.onChanged.addListener(handleBookmarkChange);
     chrome.bookmarks.onMoved.addListener(handleBookmarkChange);
     console.log("Bookmark change listeners ADDED.");
+
+    // Folder list follows the background's folder index
+    chrome.storage.onChanged.addListener(handleFolderIndexChange);
     
 
     // Initial population of the main folder list
     try {
         const allFoldersFlat = await getFullFolderHierarchy(); // Uses cache if available
-        await updateFolderSelect(allFoldersFlat);
+        await updateFolderTree(allFoldersFlat);
+        await refreshSlotList(); // Flags slots whose folder was deleted
+        await prefillTitleInput();
         
         console.log("Primary folder list populated. Second dropdown (Bookmark's Saved Folders) will load lazily on interaction or if an action requires it.");
 
     } catch (error) {
         console.error("Error during initial setup:", error.message);
-        folderSelect.innerHTML = '<option value="" disabled selected>Error loading folders</option>';
+        folderTreeElement.innerHTML = '<div class="tree-message">Error loading folders</div>';
         showFeedback("Critical error during init. Check console.", true, 0);
     }
     console.log(`Initial setup (DOMContentLoaded) complete. Total time: ${performance.now() - perfStartDOM} ms.`);
@@ -0,0 +1,48 @@
+// --- SHARED UTILITIES ---
+// Loaded by the popup (via <script>) and the background service worker (via importScripts),
+// so nothing in here may touch the DOM.
+
+const ROOT_NODE_ID = '0'; // The invisible root holding Bookmarks bar, Other bookmarks, etc.
+
+function promisify(apiObject, methodNameString) {
+    return function(...args) {
+        return new Promise((resolve, reject) => {
+            // Ensure the function is called with the correct 'this' context
+            apiObject[methodNameString](...args, (result) => {
+                if (chrome.runtime.lastError) {
+                    const errorMessage = `Chrome API Error in ${methodNameString}: ${chrome.runtime.lastError.message}`;
+                    console.error(errorMessage, chrome.runtime.lastError);
+                    const error = new Error(errorMessage);
+                    error.chromeErrorDetails = chrome.runtime.lastError; // Attach original error details
+                    return reject(error);
+                }
+                resolve(result);
+            });
+        });
+    };
+}
+
+// Promisified Chrome APIs
+const getBookmarkAsync = promisify(chrome.bookmarks, 'get');
+const getChildrenAsync = promisify(chrome.bookmarks, 'getChildren');
+const searchBookmarksAsync = promisify(chrome.bookmarks, 'search');
+const createBookmarkAsync = promisify(chrome.bookmarks, 'create');
+const removeBookmarkAsync = promisify(chrome.bookmarks, 'remove');
+const removeTreeAsync = promisify(chrome.bookmarks, 'removeTree');
+const updateBookmarkAsync = promisify(chrome.bookmarks, 'update');
+const moveBookmarkAsync = promisify(chrome.bookmarks, 'move');
+const getTreeAsync = promisify(chrome.bookmarks, 'getTree');
+const getSubTreeAsync = promisify(chrome.bookmarks, 'getSubTree');
+const queryTabsAsync = promisify(chrome.tabs, 'query');
+const createTabAsync = promisify(chrome.tabs, 'create');
+const updateTabAsync = promisify(chrome.tabs, 'update');
+const getStorageAsync = promisify(chrome.storage.sync, 'get');
+const setStorageAsync = promisify(chrome.storage.sync, 'set');
+const getLocalStorageAsync = promisify(chrome.storage.local, 'get');
+const setLocalStorageAsync = promisify(chrome.storage.local, 'set');
+const removeLocalStorageAsync = promisify(chrome.storage.local, 'remove');
+const groupTabsAsync = promisify(chrome.tabs, 'group');
+const getTabGroupAsync = promisify(chrome.tabGroups, 'get');
+const queryTabGroupsAsync = promisify(chrome.tabGroups, 'query');
+const updateTabGroupAsync = promisify(chrome.tabGroups, 'update');
+const createWindowAsync = promisify(chrome.windows, 'create');
@@ -0,0 +1,161 @@
+// --- STATISTICS DASHBOARD ---
+// Page script for dashboard.html, opened from the popup. Renders computeBookmarkStats() and lists the bookmarks
+// behind any chart entry, folder or domain by running its search query.
+// Depends on common.js, settings.js, tags.js, notes.js, query.js, search.js and statistics.js.
+
+const DASHBOARD_MAX_BAR_WIDTH = 500; // Pixels for the most common domain
+
+/**
+ * Creates an element with text content (never HTML, titles can contain markup).
+ */
+function createTextElement(tagName, text, className = '') {
+    const element = document.createElement(tagName);
+    element.textContent = text;
+    if (className) element.className = className;
+    return element;
+}
+
+/**
+ * Makes an element run a search for its slice of the collection when clicked.
+ */
+function makeSliceLink(element, query, title) {
+    element.classList.add('clickable');
+    element.title = title;
+    element.addEventListener('click', () => showSlice(query));
+}
+
+function formatDate(timestamp) {
+    return timestamp ? new Date(timestamp).toLocaleDateString() : '';
+}
+
+/**
+ * Lists the bookmarks matching a query below the growth chart.
+ */
+async function showSlice(query) {
+    const section = document.getElementById('sliceSection');
+    const list = document.getElementById('sliceResults');
+    section.hidden = false;
+    list.innerHTML = '';
+    document.getElementById('sliceTitle').textContent = `Searching ${query}...`;
+
+    try {
+        const matches = await searchBookmarkTree(query, { rootId: null });
+        document.getElementById('sliceTitle').textContent = `${matches.length} bookmark(s) for ${query}`;
+        // Newest first reads better than the search ranking here, since every match has the same rank
+        matches.sort((a, b) => (b.dateAdded || 0) - (a.dateAdded || 0));
+        for (const bookmark of matches) {
+            const item = document.createElement('li');
+            const link = createTextElement('a', bookmark.title || bookmark.url);
+            link.href = bookmark.url;
+            link.target = '_blank';
+            item.append(link, ` — ${bookmark.folderPath}, added ${formatDate(bookmark.dateAdded)}`);
+            list.append(item);
+        }
+    } catch (error) {
+        console.error(`Error searching '${query}':`, error.message);
+        document.getElementById('sliceTitle').textContent = `Error searching ${query}: ${error.message}`;
+    }
+    section.scrollIntoView({ behavior: 'smooth' });
+}
+
+function renderGrowthChart(growth) {
+    const chart = document.getElementById('growthChart');
+    chart.innerHTML = '';
+    if (growth.length === 0) {
+        chart.append(createTextElement('p', 'No dated bookmarks yet.'));
+        return;
+    }
+    const maxAdded = Math.max(...growth.map(entry => entry.added));
+    for (const entry of growth) {
+        const bar = document.createElement('div');
+        bar.className = 'bar';
+        bar.style.height = `${maxAdded ? (entry.added / maxAdded) * 100 : 0}%`;
+        makeSliceLink(bar, entry.query, `${entry.label}: ${entry.added} added, ${entry.total} in total`);
+        chart.append(bar);
+    }
+}
+
+function renderDomainChart(topDomains) {
+    const chart = document.getElementById('domainChart');
+    chart.innerHTML = '';
+    const maxCount = topDomains.length > 0 ? topDomains[0].count : 0;
+    for (const entry of topDomains) {
+        const row = document.createElement('div');
+        row.className = 'row';
+        const bar = document.createElement('div');
+        bar.className = 'bar';
+        bar.style.width = `${Math.max(1, (entry.count / maxCount) * DASHBOARD_MAX_BAR_WIDTH)}px`;
+        row.append(createTextElement('span', entry.domain, 'label'), bar, createTextElement('span', String(entry.count)));
+        makeSliceLink(row, entry.query, `List bookmarks on ${entry.domain}`);
+        chart.append(row);
+    }
+}
+
+function renderFolderTable(folders) {
+    const body = document.querySelector('#folderTable tbody');
+    body.innerHTML = '';
+    for (const folder of folders) {
+        const row = document.createElement('tr');
+        const name = createTextElement('td', folder.path.split(FOLDER_PATH_SEPARATOR).pop());
+        name.style.paddingLeft = `${8 + folder.depth * 16}px`;
+        makeSliceLink(name, folder.query, folder.path);
+        row.append(name, createTextElement('td', String(folder.bookmarks)), createTextElement('td', String(folder.folders)));
+        body.append(row);
+    }
+}
+
+/**
+ * Fills a list with folder paths; those with a query link to their bookmarks.
+ */
+function renderFolderList(listId, folders) {
+    const list = document.getElementById(listId);
+    list.innerHTML = '';
+    if (folders.length === 0) list.append(createTextElement('li', 'None'));
+    for (const folder of folders) {
+        const item = createTextElement('li', folder.path);
+        if (folder.query) makeSliceLink(item, folder.query, 'List its bookmarks');
+        list.append(item);
+    }
+}
+
+function renderBookmarkList(listId, bookmarks) {
+    const list = document.getElementById(listId);
+    list.innerHTML = '';
+    for (const bookmark of bookmarks) {
+        const item = document.createElement('li');
+        const link = createTextElement('a', bookmark.title);
+        link.href = bookmark.url;
+        link.target = '_blank';
+        item.append(`${formatDate(bookmark.dateAdded)} `, link, ` — ${bookmark.folderPath}`);
+        list.append(item);
+    }
+}
+
+/**
+ * Reads the whole tree and renders every section.
+ */
+async function loadDashboard() {
+    const totals = document.getElementById('totals');
+    try {
+        const stats = computeBookmarkStats(await getTreeAsync());
+        totals.textContent = `${stats.totals.bookmarks} bookmarks in ${stats.totals.folders} folders.`;
+        renderGrowthChart(stats.growth);
+        renderDomainChart(stats.topDomains);
+        renderFolderTable(stats.folders);
+        renderFolderList('emptyFolders', stats.emptyFolders);
+        renderFolderList('singleItemFolders', stats.singleItemFolders);
+        document.getElementById('deepestNesting').textContent = stats.deepest.depth < 0
+            ? 'No folders.'
+            : `${stats.deepest.depth + 1} levels: ${stats.deepest.paths.join(', ')}`;
+        renderBookmarkList('oldestBookmarks', stats.oldest);
+        renderBookmarkList('newestBookmarks', stats.newest);
+    } catch (error) {
+        console.error("Error computing statistics:", error.message);
+        totals.textContent = `Error reading bookmarks: ${error.message}`;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('refreshStatsButton').addEventListener('click', loadDashboard);
+    loadDashboard();
+});
@@ -0,0 +1,18 @@
+// --- FILE DOWNLOADS ---
+// Saves text the pages build (folder exports, settings backups) as a file. Uses the DOM, so it is loaded
+// by the popup and the options page, never by the background service worker. No dependencies.
+
+/**
+ * Hands text to the browser as a file download.
+ */
+function downloadTextFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+    const objectUrl = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = objectUrl;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(objectUrl), 1000); // Give the download time to start
+}
@@ -0,0 +1,110 @@
+// --- DUPLICATE FINDER ---
+// Groups bookmarks whose URLs only differ trivially (scheme, www., trailing slash, tracking parameters, fragment).
+// Depends on common.js and search.js.
+
+// Query parameters that never change what a page shows
+const TRACKING_PARAM_PATTERN = /^(utm_.*|fbclid|gclid|mc_cid|mc_eid)$/i;
+
+// Duplicate resolution strategies
+const DUPLICATE_KEEP_OLDEST = 'oldest';
+const DUPLICATE_KEEP_NEWEST = 'newest';
+const DUPLICATE_KEEP_ONE_PER_FOLDER = 'perFolder';
+
+/**
+ * Reduces a URL to the form used to detect duplicates:
+ * http/https and "www." are ignored, as are the fragment, tracking parameters, parameter order,
+ * default ports and a trailing slash. URLs that can't be parsed (or aren't http/https) are only trimmed.
+ * @param {string} url
+ * @returns {string}
+ */
+function normalizeBookmarkUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return (url || '').trim();
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return parsed.href;
+
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    const port = parsed.port && parsed.port !== '80' && parsed.port !== '443' ? `:${parsed.port}` : '';
+    const path = parsed.pathname.replace(/\/+$/, '');
+    const params = [...parsed.searchParams.entries()]
+        .filter(([key]) => !TRACKING_PARAM_PATTERN.test(key))
+        .sort(([a], [b]) => a.localeCompare(b));
+    const query = params.length > 0 ? `?${new URLSearchParams(params).toString()}` : '';
+    return `${host}${port}${path}${query}`;
+}
+
+/**
+ * Finds groups of bookmarks sharing a normalized URL.
+ * @param {string|null} [rootId] - Folder to scan (with subfolders); null scans the whole tree.
+ * @returns {Promise<Array<{normalizedUrl: string, bookmarks: Array<Object>}>>}
+ *          Groups with 2+ bookmarks, largest first; bookmarks oldest first, each with its folderPath.
+ */
+async function findDuplicateGroups(rootId = null) {
+    const bookmarks = [];
+    collectBookmarks(await getTreeAsync(), [], bookmarks, { rootId });
+
+    const groups = new Map();
+    for (const bookmark of bookmarks) {
+        const normalizedUrl = normalizeBookmarkUrl(bookmark.url);
+        if (!groups.has(normalizedUrl)) groups.set(normalizedUrl, []);
+        groups.get(normalizedUrl).push(bookmark);
+    }
+
+    return [...groups.entries()]
+        .filter(([, group]) => group.length > 1)
+        .map(([normalizedUrl, group]) => ({
+            normalizedUrl,
+            bookmarks: group.sort((a, b) => (a.dateAdded || 0) - (b.dateAdded || 0))
+        }))
+        .sort((a, b) => b.bookmarks.length - a.bookmarks.length || a.normalizedUrl.localeCompare(b.normalizedUrl));
+}
+
+/**
+ * Works out which bookmarks to delete to resolve duplicate groups.
+ * - 'oldest' / 'newest': keep a single copy per group
+ * - 'perFolder': keep the oldest copy in each folder, so a page filed in several folders stays in each
+ * @param {Array<Object>} groups - From findDuplicateGroups().
+ * @param {string} strategy - One of the DUPLICATE_KEEP_* constants.
+ * @returns {Array<string>} - Bookmark IDs to delete.
+ */
+function planDuplicateResolution(groups, strategy) {
+    const idsToDelete = [];
+    for (const { bookmarks } of groups) {
+        // Bookmarks are sorted oldest first
+        if (strategy === DUPLICATE_KEEP_ONE_PER_FOLDER) {
+            const keptFolders = new Set();
+            for (const bookmark of bookmarks) {
+                if (keptFolders.has(bookmark.parentId)) idsToDelete.push(bookmark.id);
+                else keptFolders.add(bookmark.parentId);
+            }
+        } else {
+            const keepIndex = strategy === DUPLICATE_KEEP_NEWEST ? bookmarks.length - 1 : 0;
+            bookmarks.forEach((bookmark, index) => {
+                if (index !== keepIndex) idsToDelete.push(bookmark.id);
+            });
+        }
+    }
+    return idsToDelete;
+}
+
+/**
+ * Finds bookmarks anywhere in the tree whose normalized URL equals that of `url`.
+ * Narrows candidates with chrome.bookmarks.search() on the host, so no full tree walk is needed.
+ * @param {string} url
+ * @returns {Promise<Array<chrome.bookmarks.BookmarkTreeNode>>}
+ */
+async function findNormalizedMatches(url) {
+    const normalizedUrl = normalizeBookmarkUrl(url);
+    let host;
+    try {
+        host = new URL(url).hostname.replace(/^www\./, '');
+    } catch (error) {
+        return [];
+    }
+    if (!host) return [];
+    const candidates = await searchBookmarksAsync(host);
+    return candidates.filter(candidate => candidate.url && normalizeBookmarkUrl(candidate.url) === normalizedUrl);
+}
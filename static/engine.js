@@ -0,0 +1,395 @@
+// --- BOOKMARK ENGINE ---
+// The one implementation of save/move/delete/search used by both the popup and the keyboard commands.
+// Runs in the background service worker, which exposes it as a message API:
+//
+//   chrome.runtime.sendMessage({ type: 'save', folderId, tabs })  ->  { ok: true, result: SaveResult }
+//                                                                  or { ok: false, error, isQuerySyntaxError? }
+//
+// Request types (dispatched by REQUEST_HANDLERS in bgbookmarks.js):
+//   save          {folderId, tabs?, tags?, formatTitles?} -> SaveResult
+//   file          {fallbackFolderId?, useRules?, tabs?, tags?, formatTitles?} -> FileResult (each tab to the folder its
+//                 filing rule picks; with useRules false, every tab to the fallback folder)
+//   move          {fromFolderId, toFolderId, tabs?}    -> MoveResult
+//                 {bookmarkIds, toFolderId}            -> {toFolderTitle, moved, alreadyThere, failed} (those bookmarks, wherever they are)
+//   delete        {folderId, tabs?}                    -> DeleteResult
+//                 {bookmarkIds}                        -> {trashed, failed, errors} (those bookmarks, wherever they are)
+//   search        {query, rootId?, recursive?}         -> Array of matches (see searchBookmarkTree())
+//   listFolders   {refresh?}                           -> Array<{id, title, depth, parentId}>
+//   getLocations  {url}                                -> Array<{folderId, bookmarkId, title}>
+//   saveSession   {parentId, name?, windowId?, groupId?} -> SessionReport (see saveSession() in sessions.js)
+//   restoreSession {folderId}                          -> {opened, groups}
+//   openAll       {urls, title?, windowId?}            -> {opened, total, capped, cancelled} (see openUrls() in opener.js);
+//                 sends {type: 'openAllProgress', opened, total} messages while it runs
+//   cancelOpenAll {}                                   -> Whether an Open All was running
+//   restoreTrash  {trashIds}                           -> {restored, movedToDefault, failed} (see restoreFromTrash() in trash.js)
+//   purgeTrash    {trashIds}                           -> Number of entries purged
+//   emptyTrash    {}                                   -> Number of entries purged
+//   purgeExpiredTrash {}                               -> Number of entries purged (older than the retention period)
+//   addTags       {bookmarkIds, tags}                  -> How many bookmarks gained a tag (see tags.js)
+//                 {tagsById}                           -> Same, each bookmark with its own tags (e.g. from an import)
+//   removeTags    {bookmarkIds, tags}                  -> How many bookmarks lost a tag
+//   setNote       {bookmarkId, text}                   -> Whether the note changed (blank text removes it, see notes.js)
+//   deleteFolder  {folderId}                           -> {trashed} (see deleteFolder() in folders.js)
+//   mergeFolders  {sourceId, targetId}                 -> MergeReport (see mergeFolders() in folders.js)
+//   sortFolder    {folderId, options}                  -> {folderTitle, foldersSorted, moves, lines} (see sortFolder() in sorter.js)
+//   revertFolderSort {}                                -> {folderTitle, foldersRestored, moves}
+//   restoreSnapshot {snapshotId}                       -> {foldersCreated, bookmarksCreated, skipped, failed} (see snapshots.js)
+//   cleanUpTitles {folderId, options}                  -> {renamed, failed} (see planTitleCleanup() in titles.js)
+//
+// `tabs` is a list of {url, title}; when omitted, the highlighted tabs of the current window are used.
+// For `file`, a tab may also carry `bookmarkTitle`, saved instead of `title`; filing rules still match `title`.
+// `tags` are added to the saved bookmarks, and to ones that were already in the folder.
+// New bookmarks are titled by the title rules (see titles.js) unless `formatTitles` is false,
+// which saves the titles as given (e.g. one typed in the popup).
+// Which pages can be saved follows the options page (see isBookmarkableUrl() in settings.js).
+// Depends on common.js, settings.js, tags.js, trash.js, query.js, titles.js, search.js, duplicates.js, folderindex.js and filing.js.
+
+/**
+ * Returns the tabs a request applies to: the ones it names, or the highlighted tabs of the current window.
+ * @returns {Promise<Array<{url: string, title: string}>>}
+ */
+async function resolveRequestTabs(tabs) {
+    if (Array.isArray(tabs)) return tabs;
+    const highlightedTabs = await queryTabsAsync({ highlighted: true, currentWindow: true });
+    return (highlightedTabs || []).map(tab => ({ url: tab.url, title: tab.title }));
+}
+
+/**
+ * Loads a folder's title, failing with a readable message if the folder is gone.
+ */
+async function getFolderTitle(folderId) {
+    if (!folderId) throw new Error("No folder given.");
+    try {
+        const [folder] = await getBookmarkAsync(folderId);
+        if (folder.url) throw new Error(`'${folder.title}' is a bookmark, not a folder.`);
+        return folder.title;
+    } catch (error) {
+        if (error.chromeErrorDetails) throw new Error("Folder not found. It may have been deleted.");
+        throw error;
+    }
+}
+
+const RECENT_FOLDERS_KEY = 'recentFolderIds'; // chrome.storage.sync: folders saved to, most recent first
+const MAX_RECENT_FOLDERS = 5;
+
+/**
+ * Records a folder that was just saved to, as the last one and at the top of the recent folders.
+ */
+async function rememberSaveFolder(folderId) {
+    const result = await getStorageAsync([RECENT_FOLDERS_KEY]);
+    const recentFolderIds = [folderId, ...(result[RECENT_FOLDERS_KEY] || []).filter(id => id !== folderId)].slice(0, MAX_RECENT_FOLDERS);
+    await setStorageAsync({ 'lastBookmarkedFolderID': folderId, [RECENT_FOLDERS_KEY]: recentFolderIds });
+}
+
+/**
+ * Saves tabs to a folder, skipping ones already bookmarked there.
+ * Also reports other folders that already hold the page under a trivially different URL.
+ * @returns {Promise<{folderTitle: string, saved: number, alreadyExisted: number, invalid: number, failed: number, alsoSavedIn: Array<string>}>}
+ */
+async function saveTabsToFolder({ folderId, tabs, tags = [], formatTitles = true }) {
+    const folderTitle = await getFolderTitle(folderId);
+    const [tabsToProcess, settings, titleRules] = await Promise.all([resolveRequestTabs(tabs), getSettings(), getTitleRules()]);
+    const result = { folderTitle, saved: 0, alreadyExisted: 0, invalid: 0, failed: 0, alsoSavedIn: [] };
+    const otherFolderIds = new Set();
+    const bookmarkIdsToTag = [];
+
+    for (const currentTab of tabsToProcess) {
+        if (!isBookmarkableUrl(currentTab.url, settings)) {
+            console.warn(`Cannot bookmark tab: ${currentTab.title} (invalid URL: ${currentTab.url}). Skipping.`);
+            result.invalid++;
+            continue;
+        }
+
+        try {
+            const existingBookmarksForUrl = await searchBookmarksAsync({ url: currentTab.url });
+            const existingBookmark = existingBookmarksForUrl.find(bm => bm.parentId === folderId);
+            if (existingBookmark) {
+                console.log(`Tab '${currentTab.title || currentTab.url}' already bookmarked in '${folderTitle}'. Skipping.`);
+                bookmarkIdsToTag.push(existingBookmark.id);
+                result.alreadyExisted++;
+                continue;
+            }
+
+            // Copies elsewhere, including trivially different URLs (http/https, www., utm_*, ...)
+            const normalizedMatches = await findNormalizedMatches(currentTab.url);
+            normalizedMatches.filter(bm => bm.parentId !== folderId).forEach(bm => otherFolderIds.add(bm.parentId));
+
+            const bookmark = await createBookmarkAsync({
+                parentId: folderId,
+                title: formatTitles ? formatBookmarkTitle(currentTab.title, currentTab.url, titleRules) : (currentTab.title || currentTab.url),
+                url: currentTab.url
+            });
+            bookmarkIdsToTag.push(bookmark.id);
+            result.saved++;
+            console.log(`Saved tab '${currentTab.title || currentTab.url}' to '${folderTitle}'.`);
+        } catch (tabError) {
+            console.error(`Error saving tab '${currentTab.title || currentTab.url}':`, tabError.message);
+            result.failed++;
+        }
+    }
+
+    if (otherFolderIds.size > 0) {
+        const folderIndex = await loadFolderIndex();
+        result.alsoSavedIn = [...otherFolderIds].map(id => (folderIndex[id] ? folderIndex[id].title : 'another folder'));
+    }
+    if (tags.length > 0 && bookmarkIdsToTag.length > 0) {
+        await addBookmarkTags(bookmarkIdsToTag, tags);
+    }
+    if (result.saved > 0) {
+        await rememberSaveFolder(folderId);
+    }
+    return result;
+}
+
+/**
+ * Saves each tab to the folder its filing rule picks (see filing.js), or to the fallback folder if no rule matches.
+ * Title keyword rules match the tab's own title, not a `bookmarkTitle` it is saved under.
+ * With `useRules` false, rules are skipped and every tab goes to the fallback folder (a folder the user picked).
+ * @returns {Promise<{saved: number, alreadyExisted: number, invalid: number, failed: number, unfiled: number, alsoSavedIn: Array<string>, folders: Array<{folderTitle: string, saved: number, alreadyExisted: number}>}>}
+ *          Totals over all folders, plus one entry per folder tabs went to.
+ *          `unfiled` counts tabs no rule matched when there was no fallback folder (or it was deleted).
+ */
+async function fileTabs({ fallbackFolderId = null, useRules = true, tabs, tags = [], formatTitles = true }) {
+    const [tabsToProcess, rules, folderIndex] = await Promise.all([resolveRequestTabs(tabs), getFilingRules(), loadFolderIndex()]);
+    const existingFolderIds = new Set(Object.keys(folderIndex));
+    const fallback = existingFolderIds.has(fallbackFolderId) ? fallbackFolderId : null;
+    const result = { saved: 0, alreadyExisted: 0, invalid: 0, failed: 0, unfiled: 0, alsoSavedIn: [], folders: [] };
+
+    const tabsByFolder = new Map();
+    for (const tab of tabsToProcess) {
+        const { folderId } = resolveFilingFolder(useRules ? rules : [], tab, fallback, existingFolderIds);
+        if (!folderId) {
+            result.unfiled++;
+            continue;
+        }
+        if (!tabsByFolder.has(folderId)) tabsByFolder.set(folderId, []);
+        tabsByFolder.get(folderId).push({ url: tab.url, title: tab.bookmarkTitle || tab.title });
+    }
+
+    for (const [folderId, folderTabs] of tabsByFolder) {
+        const folderResult = await saveTabsToFolder({ folderId, tabs: folderTabs, tags, formatTitles });
+        result.saved += folderResult.saved;
+        result.alreadyExisted += folderResult.alreadyExisted;
+        result.invalid += folderResult.invalid;
+        result.failed += folderResult.failed;
+        folderResult.alsoSavedIn
+            .filter(title => !result.alsoSavedIn.includes(title))
+            .forEach(title => result.alsoSavedIn.push(title));
+        result.folders.push({ folderTitle: folderResult.folderTitle, saved: folderResult.saved, alreadyExisted: folderResult.alreadyExisted });
+    }
+    return result;
+}
+
+/**
+ * Moves the tabs' bookmarks from one folder to another.
+ * @returns {Promise<{fromFolderTitle: string, toFolderTitle: string, moved: number, notFound: number, failed: number}>}
+ */
+async function moveTabsBookmarks({ fromFolderId, toFolderId, tabs }) {
+    const [fromFolderTitle, toFolderTitle] = await Promise.all([getFolderTitle(fromFolderId), getFolderTitle(toFolderId)]);
+    const result = { fromFolderTitle, toFolderTitle, moved: 0, notFound: 0, failed: 0 };
+    if (fromFolderId === toFolderId) return result;
+    const tabsToProcess = await resolveRequestTabs(tabs);
+
+    for (const currentTab of tabsToProcess) {
+        if (!currentTab.url) {
+            result.failed++;
+            continue;
+        }
+
+        try {
+            const existingBookmarksForUrl = await searchBookmarksAsync({ url: currentTab.url });
+            const bookmarkToMove = existingBookmarksForUrl.find(b => b.parentId === fromFolderId);
+
+            if (bookmarkToMove) {
+                await moveBookmarkAsync(bookmarkToMove.id, { parentId: toFolderId });
+                result.moved++;
+                console.log(`Moved bookmark for '${currentTab.title || currentTab.url}' from '${fromFolderTitle}' to '${toFolderTitle}'.`);
+            } else {
+                result.notFound++;
+                console.log(`Bookmark for '${currentTab.title || currentTab.url}' not found in '${fromFolderTitle}'. Skipping move.`);
+            }
+        } catch (tabError) {
+            console.error(`Error moving bookmark for tab '${currentTab.title || currentTab.url}':`, tabError.message, tabError.chromeErrorDetails);
+            result.failed++;
+        }
+    }
+    return result;
+}
+
+/**
+ * Moves the tabs' bookmarks in one folder to the trash.
+ * @returns {Promise<{folderTitle: string, trashed: number, notFound: number, failed: number}>}
+ */
+async function deleteTabsBookmarks({ folderId, tabs }) {
+    const folderTitle = await getFolderTitle(folderId);
+    const tabsToProcess = await resolveRequestTabs(tabs);
+    const result = { folderTitle, trashed: 0, notFound: 0, failed: 0 };
+
+    for (const currentTab of tabsToProcess) {
+        if (!currentTab.url) {
+            result.failed++;
+            continue;
+        }
+
+        try {
+            const existingBookmarksForUrl = await searchBookmarksAsync({ url: currentTab.url });
+            const bookmarkToDelete = existingBookmarksForUrl.find(b => b.parentId === folderId);
+
+            if (bookmarkToDelete) {
+                const { errors } = await trashBookmarks([bookmarkToDelete.id]);
+                if (errors.length > 0) throw new Error(errors[0].message);
+                result.trashed++;
+                console.log(`Moved bookmark for '${currentTab.title || currentTab.url}' from '${folderTitle}' to trash.`);
+            } else {
+                result.notFound++;
+                console.log(`Bookmark for '${currentTab.title || currentTab.url}' not found in '${folderTitle}'. Skipping.`);
+            }
+        } catch (tabError) {
+            console.error(`Error deleting bookmark for tab '${currentTab.title || currentTab.url}':`, tabError.message);
+            result.failed++;
+        }
+    }
+    return result;
+}
+
+/**
+ * Moves bookmarks picked by ID (e.g. search results) into a folder. Ones already there stay put.
+ * @returns {Promise<{toFolderTitle: string, moved: number, alreadyThere: number, failed: number}>}
+ */
+async function moveBookmarksById({ bookmarkIds, toFolderId }) {
+    const toFolderTitle = await getFolderTitle(toFolderId);
+    const result = { toFolderTitle, moved: 0, alreadyThere: 0, failed: 0 };
+
+    for (const bookmarkId of bookmarkIds) {
+        try {
+            const [bookmark] = await getBookmarkAsync(bookmarkId);
+            if (bookmark.parentId === toFolderId) {
+                result.alreadyThere++;
+                continue;
+            }
+            await moveBookmarkAsync(bookmark.id, { parentId: toFolderId });
+            result.moved++;
+        } catch (error) {
+            console.error(`Error moving bookmark ${bookmarkId} to '${toFolderTitle}':`, error.message);
+            result.failed++;
+        }
+    }
+    return result;
+}
+
+/**
+ * Moves bookmarks picked by ID (e.g. search results) to the trash.
+ * @returns {Promise<{trashed: number, failed: number, errors: Array<{id: string, message: string}>}>}
+ */
+async function deleteBookmarksById({ bookmarkIds }) {
+    const { trashed, errors } = await trashBookmarks(bookmarkIds);
+    return { trashed: trashed.length, failed: errors.length, errors };
+}
+
+/**
+ * Searches bookmarks; see searchBookmarkTree() for the query syntax and result shape.
+ */
+async function searchBookmarks({ query, rootId = null, recursive = true }) {
+    return searchBookmarkTree(query, { rootId, recursive });
+}
+
+/**
+ * Returns the flat folder list from the folder index.
+ * @returns {Promise<Array<{id: string, title: string, depth: number, parentId: string}>>}
+ */
+async function listFolders({ refresh = false } = {}) {
+    if (refresh) return rebuildFolderIndex();
+    const result = await getLocalStorageAsync([CACHE_KEY_FOLDERS]);
+    return result[CACHE_KEY_FOLDERS] || rebuildFolderIndex();
+}
+
+/**
+ * Lists the folders a URL is bookmarked in.
+ * @returns {Promise<Array<{folderId: string, bookmarkId: string, title: string}>>} - One entry per folder.
+ */
+async function getBookmarkLocations({ url }) {
+    if (!isBookmarkableUrl(url, await getSettings())) throw new Error("This page can't be bookmarked.");
+    const bookmarks = await searchBookmarksAsync({ url });
+    const folderIndex = await loadFolderIndex();
+    const locations = new Map();
+    for (const bookmark of bookmarks) {
+        const folder = folderIndex[bookmark.parentId];
+        if (folder && !locations.has(folder.id)) {
+            locations.set(folder.id, { folderId: folder.id, bookmarkId: bookmark.id, title: folder.title });
+        }
+    }
+    return [...locations.values()];
+}
+
+/**
+ * Orders a page's locations for the shortcuts that pick one copy (delete, move to slot):
+ * the default folder first, then the rest in folder-list order (the order of the popup's folder tree).
+ */
+function orderPageLocations(locations, defaultFolderId, flatFolderList) {
+    const positions = new Map(flatFolderList.map((folder, index) => [folder.id, index]));
+    const rank = (location) => {
+        if (location.folderId === defaultFolderId) return -1;
+        return positions.has(location.folderId) ? positions.get(location.folderId) : flatFolderList.length;
+    };
+    return [...locations].sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Moves the page's bookmark in the first of its locations (see orderPageLocations()) to the trash.
+ * Each call removes one copy, so calling it repeatedly walks through every folder the page is saved in.
+ * @returns {Promise<{folderTitle: string|null, remaining: Array<string>}>}
+ *          The folder deleted from (null if the page isn't bookmarked) and the folders still holding it, in order.
+ */
+async function deleteFromNextLocation({ url, defaultFolderId = null }) {
+    const [locations, flatFolderList] = await Promise.all([getBookmarkLocations({ url }), listFolders()]);
+    const [next, ...rest] = orderPageLocations(locations, defaultFolderId, flatFolderList);
+    if (!next) return { folderTitle: null, remaining: [] };
+
+    const { errors } = await trashBookmarks([next.bookmarkId]);
+    if (errors.length > 0) throw new Error(errors[0].message);
+    return { folderTitle: next.title, remaining: rest.map(location => location.title) };
+}
+
+/**
+ * Moves the tabs' bookmarks into a folder from wherever they are saved. A page saved in several folders
+ * has one copy moved (picked as in orderPageLocations()); a page not saved anywhere is saved there.
+ * @returns {Promise<{folderTitle: string, moved: number, created: number, alreadyThere: number, invalid: number, failed: number}>}
+ */
+async function moveTabsIntoFolder({ folderId, defaultFolderId = null, tabs }) {
+    const folderTitle = await getFolderTitle(folderId);
+    const [tabsToProcess, flatFolderList, settings, titleRules] = await Promise.all([resolveRequestTabs(tabs), listFolders(), getSettings(), getTitleRules()]);
+    const result = { folderTitle, moved: 0, created: 0, alreadyThere: 0, invalid: 0, failed: 0 };
+
+    for (const currentTab of tabsToProcess) {
+        if (!isBookmarkableUrl(currentTab.url, settings)) {
+            result.invalid++;
+            continue;
+        }
+
+        try {
+            const locations = await getBookmarkLocations({ url: currentTab.url });
+            if (locations.some(location => location.folderId === folderId)) {
+                result.alreadyThere++;
+                continue;
+            }
+
+            const [source] = orderPageLocations(locations, defaultFolderId, flatFolderList);
+            if (source) {
+                await moveBookmarkAsync(source.bookmarkId, { parentId: folderId });
+                result.moved++;
+                console.log(`Moved bookmark for '${currentTab.title || currentTab.url}' from '${source.title}' to '${folderTitle}'.`);
+            } else {
+                await createBookmarkAsync({ parentId: folderId, title: formatBookmarkTitle(currentTab.title, currentTab.url, titleRules), url: currentTab.url });
+                result.created++;
+                console.log(`Saved tab '${currentTab.title || currentTab.url}' to '${folderTitle}'.`);
+            }
+        } catch (tabError) {
+            console.error(`Error moving bookmark for tab '${currentTab.title || currentTab.url}' to '${folderTitle}':`, tabError.message);
+            result.failed++;
+        }
+    }
+    if (result.moved + result.created > 0) {
+        await rememberSaveFolder(folderId);
+    }
+    return result;
+}
@@ -0,0 +1,114 @@
+// --- FOLDER EXPORT ---
+// Exports a folder subtree, tags included, as Netscape HTML, nested JSON, Markdown or CSV.
+// Builds file contents only; the popup turns them into a download (see download.js). Depends on common.js, tags.js, search.js and netscape.js.
+
+const EXPORT_FORMATS = {
+    html: { extension: 'html', mimeType: 'text/html' },
+    json: { extension: 'json', mimeType: 'application/json' },
+    markdown: { extension: 'md', mimeType: 'text/markdown' },
+    csv: { extension: 'csv', mimeType: 'text/csv' }
+};
+
+/**
+ * Converts chrome.bookmarks nodes to plain nested objects, dropping Chrome-internal fields.
+ */
+function toExportJSONNodes(nodes, tagMap) {
+    return nodes.map(node => {
+        const item = { title: node.title, dateAdded: node.dateAdded };
+        if (node.url) {
+            item.url = node.url;
+            if (tagMap[node.id]) item.tags = tagMap[node.id];
+        } else {
+            item.children = toExportJSONNodes(node.children || [], tagMap);
+        }
+        return item;
+    });
+}
+
+// Backslash-escapes what Markdown would read as markup in a heading or link text (e.g. '#', '*', '[', ']'),
+// and folds line breaks, which would end the heading or list item
+function escapeMarkdownText(text) {
+    return String(text).replace(/\s+/g, ' ').replace(/[\\`*_[\]<>#|~]/g, '\\$&');
+}
+
+// Inside <...>, a '<' or '>' would end the link destination early; backslash-escapes keep the URL as it was
+function escapeMarkdownUrl(url) {
+    return String(url).replace(/[\\<>]/g, '\\$&');
+}
+
+/**
+ * Markdown link list with one heading per (sub)folder; headings stop deepening at level 6.
+ * Tags follow each link as #hashtags.
+ */
+function toExportMarkdown(node, tagMap, depth = 1) {
+    const heading = '#'.repeat(Math.min(depth, 6));
+    let markdown = `${heading} ${escapeMarkdownText(node.title)}\n\n`;
+
+    const bookmarks = (node.children || []).filter(child => child.url);
+    const subfolders = (node.children || []).filter(child => !child.url);
+    for (const bookmark of bookmarks) {
+        const tags = (tagMap[bookmark.id] || []).map(tag => ` #${tag}`).join('');
+        markdown += `- [${escapeMarkdownText(bookmark.title || bookmark.url)}](<${escapeMarkdownUrl(bookmark.url)}>)${tags}\n`;
+    }
+    if (bookmarks.length > 0) markdown += '\n';
+    for (const subfolder of subfolders) {
+        markdown += toExportMarkdown(subfolder, tagMap, depth + 1);
+    }
+    return markdown;
+}
+
+// Quotes a CSV field when it contains a delimiter, quote or line break (RFC 4180)
+function escapeCSVField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One CSV row per bookmark: folder path (relative to the exported folder, including it), title, URL, dateAdded (ISO 8601),
+ * tags (comma-separated).
+ */
+function toExportCSVRows(node, parentPath, rows, tagMap) {
+    const path = [...parentPath, node.title];
+    for (const child of node.children || []) {
+        if (child.url) {
+            const dateAdded = child.dateAdded ? new Date(child.dateAdded).toISOString() : '';
+            const tags = (tagMap[child.id] || []).join(',');
+            rows.push([path.join(FOLDER_PATH_SEPARATOR), child.title, child.url, dateAdded, tags].map(escapeCSVField).join(','));
+        } else {
+            toExportCSVRows(child, path, rows, tagMap);
+        }
+    }
+    return rows;
+}
+
+/**
+ * Serializes a folder and everything below it.
+ * @param {string} folderId - Folder to export.
+ * @param {string} format - A key of EXPORT_FORMATS.
+ * @returns {Promise<{content: string, folderTitle: string, bookmarkCount: number}>}
+ */
+async function exportFolder(folderId, format) {
+    if (!EXPORT_FORMATS[format]) throw new Error(`Unknown export format '${format}'.`);
+    const [[folder], tagMap] = await Promise.all([getSubTreeAsync(folderId), getTagMap()]);
+    if (!folder || folder.url) throw new Error("Only folders can be exported.");
+
+    const bookmarks = [];
+    collectBookmarks([folder], [], bookmarks);
+
+    let content;
+    switch (format) {
+        case 'html':
+            content = serializeNetscapeBookmarks([folder], tagMap);
+            break;
+        case 'json':
+            content = JSON.stringify(toExportJSONNodes([folder], tagMap)[0], null, 2);
+            break;
+        case 'markdown':
+            content = toExportMarkdown(folder, tagMap);
+            break;
+        case 'csv':
+            content = ['path,title,url,dateAdded,tags', ...toExportCSVRows(folder, [], [], tagMap)].join('\r\n') + '\r\n';
+            break;
+    }
+    return { content, folderTitle: folder.title, bookmarkCount: bookmarks.length };
+}
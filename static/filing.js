@@ -0,0 +1,136 @@
+// --- FILING RULES ---
+// User-defined rules that pick a folder for each saved tab by domain, URL pattern or title keyword.
+// Rules are tried in order and the first match wins; tabs no rule matches go to the fallback folder, the default folder.
+// A folder picked in the popup wins over the rules (see saveBookmark() in bookmarks.js). Title keyword rules match the
+// tab's own title, never an edited or cleaned-up one.
+// Depends on common.js.
+
+const FILING_RULES_KEY = 'filingRules'; // chrome.storage.sync: Array of rules, highest priority first
+
+// Rule types and how the popup labels them
+const FILING_RULE_TYPES = {
+    domain: 'Domain',      // "github.com" matches github.com and its subdomains
+    glob: 'URL pattern',   // "example.com/docs/*" or "https://*.example.com/*", * = any text, ? = one character
+    regex: 'URL regex',    // Tested anywhere in the URL, case-insensitive
+    title: 'Title keyword' // Case-insensitive substring of the tab title
+};
+
+/**
+ * Reads the filing rules, highest priority first.
+ * @returns {Promise<Array<{id: string, type: string, pattern: string, folderId: string}>>}
+ */
+async function getFilingRules() {
+    const result = await getStorageAsync([FILING_RULES_KEY]);
+    return result[FILING_RULES_KEY] || [];
+}
+
+async function setFilingRules(rules) {
+    await setStorageAsync({ [FILING_RULES_KEY]: rules });
+}
+
+/**
+ * Turns a URL glob into an anchored, case-insensitive RegExp.
+ */
+function globToRegExp(glob) {
+    const source = glob
+        .split('')
+        .map(char => (char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&')))
+        .join('');
+    return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Checks a rule before it is saved.
+ * @throws {Error} If the type is unknown, the pattern is empty or the regex doesn't compile.
+ */
+function validateFilingRule(rule) {
+    if (!FILING_RULE_TYPES[rule.type]) throw new Error(`Unknown rule type '${rule.type}'.`);
+    if (!rule.pattern || !rule.pattern.trim()) throw new Error("Rule pattern cannot be empty.");
+    if (!rule.folderId) throw new Error("Rule needs a target folder.");
+    if (rule.type === 'regex') {
+        try {
+            new RegExp(rule.pattern, 'i');
+        } catch (error) {
+            throw new Error(`Invalid regex: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Checks a whole list of rules, e.g. one being imported.
+ * @throws {Error} If it isn't a list or a rule is invalid (see validateFilingRule()).
+ */
+function validateFilingRules(rules) {
+    if (!Array.isArray(rules)) throw new Error("Filing rules must be a list.");
+    for (const rule of rules) {
+        if (!rule || typeof rule.id !== 'string' || typeof rule.pattern !== 'string' || typeof rule.folderId !== 'string') {
+            throw new Error("Each filing rule needs an id, a pattern and a folder.");
+        }
+        validateFilingRule(rule);
+    }
+    return rules;
+}
+
+/**
+ * Whether a rule matches a tab. Rules that can't be evaluated (e.g. a broken regex) never match.
+ * @param {{type: string, pattern: string}} rule
+ * @param {{url: string, title?: string}} tab
+ */
+function matchesFilingRule(rule, tab) {
+    const pattern = rule.pattern.trim();
+    try {
+        switch (rule.type) {
+            case 'domain': {
+                const host = new URL(tab.url).hostname.toLowerCase().replace(/^www\./, '');
+                const domain = pattern.toLowerCase().replace(/^www\./, '');
+                return host === domain || host.endsWith(`.${domain}`);
+            }
+            case 'glob': {
+                // Patterns may leave out the scheme and "www."
+                const regex = globToRegExp(pattern);
+                return regex.test(tab.url) || regex.test(tab.url.replace(/^[a-z]+:\/\/(www\.)?/i, ''));
+            }
+            case 'regex':
+                return new RegExp(pattern, 'i').test(tab.url);
+            case 'title':
+                return (tab.title || '').toLowerCase().includes(pattern.toLowerCase());
+            default:
+                return false;
+        }
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Picks the folder a tab should be saved to.
+ * Rules pointing at folders that no longer exist are skipped.
+ * @param {Array<Object>} rules - From getFilingRules(), highest priority first.
+ * @param {{url: string, title?: string}} tab
+ * @param {string|null} fallbackFolderId - Used when no rule matches.
+ * @param {Set<string>} existingFolderIds - IDs of the folders that currently exist.
+ * @returns {{folderId: string|null, rule: Object|null}} - The matching rule, or null for the fallback.
+ */
+function resolveFilingFolder(rules, tab, fallbackFolderId, existingFolderIds) {
+    const rule = rules.find(candidate => existingFolderIds.has(candidate.folderId) && matchesFilingRule(candidate, tab));
+    return rule ? { folderId: rule.folderId, rule } : { folderId: fallbackFolderId, rule: null };
+}
+
+/**
+ * Describes the result of filing tabs (see fileTabs() in engine.js) in one line,
+ * e.g. "3 bookmark(s) saved: 2 to 'Work', 1 to 'Reading'. 1 already existed."
+ */
+function summarizeFilingResult(result) {
+    let summary = "";
+    if (result.saved > 0) {
+        const perFolder = result.folders
+            .filter(folder => folder.saved > 0)
+            .map(folder => `${folder.saved} to '${folder.folderTitle}'`);
+        summary += `${result.saved} bookmark(s) saved: ${perFolder.join(', ')}. `;
+    }
+    if (result.alreadyExisted > 0) summary += `${result.alreadyExisted} already existed. `;
+    if (result.invalid > 0) summary += `${result.invalid} can't be bookmarked. `;
+    if (result.unfiled > 0) summary += `${result.unfiled} matched no rule and no folder was set. `;
+    if (result.failed > 0) summary += `${result.failed} failed. `;
+    return summary.trim();
+}
@@ -0,0 +1,121 @@
+// --- FOLDER INDEX ---
+// The folder hierarchy kept in chrome.storage.local. The background service worker builds it once and then
+// updates it from chrome.bookmarks events; the popup only reads it. Depends on common.js.
+
+const FOLDER_INDEX_KEY = 'folderIndexNodes';      // {[id]: {id, title, parentId}} for every folder
+const CACHE_KEY_FOLDERS = 'cachedFolderHierarchy'; // Flat list {id, title, depth, parentId} served to the popup
+
+/**
+ * Builds the index from getTree() nodes: every folder except the invisible root.
+ * @returns {Object<string, {id: string, title: string, parentId: string}>}
+ */
+function buildFolderIndex(treeNodes) {
+    const nodes = {};
+    const walk = (children) => {
+        for (const node of children || []) {
+            if (node.url) continue;
+            if (node.id !== ROOT_NODE_ID) nodes[node.id] = { id: node.id, title: node.title, parentId: node.parentId };
+            walk(node.children);
+        }
+    };
+    walk(treeNodes);
+    return nodes;
+}
+
+/**
+ * Turns the index into the flat, depth-annotated list the folder tree is built from (see foldertree.js):
+ * alphabetical within each level, each folder followed by its subfolders.
+ * Untitled folders are left out together with their subfolders.
+ * @returns {Array<{id: string, title: string, depth: number, parentId: string}>}
+ */
+function flattenFolderIndex(nodes) {
+    const childrenByParent = new Map();
+    for (const node of Object.values(nodes)) {
+        if (!childrenByParent.has(node.parentId)) childrenByParent.set(node.parentId, []);
+        childrenByParent.get(node.parentId).push(node);
+    }
+
+    const flatList = [];
+    const walk = (parentId, depth) => {
+        const children = (childrenByParent.get(parentId) || [])
+            .sort((a, b) => (a.title || "").localeCompare(b.title || ""));
+        for (const folder of children) {
+            if (!folder.title) continue;
+            flatList.push({ id: folder.id, title: folder.title, depth, parentId: folder.parentId });
+            walk(folder.id, depth + 1);
+        }
+    };
+    walk(ROOT_NODE_ID, 0); // Depth 0 for top-level display folders
+    return flatList;
+}
+
+/**
+ * Saves the index and the flat list derived from it.
+ * @returns {Promise<Array<{id: string, title: string, depth: number, parentId: string}>>} - The flat list.
+ */
+async function persistFolderIndex(nodes) {
+    const flatList = flattenFolderIndex(nodes);
+    await setLocalStorageAsync({ [FOLDER_INDEX_KEY]: nodes, [CACHE_KEY_FOLDERS]: flatList });
+    return flatList;
+}
+
+/**
+ * Rebuilds the index from a full tree walk.
+ * @returns {Promise<Array<{id: string, title: string, depth: number, parentId: string}>>} - The flat list.
+ */
+async function rebuildFolderIndex() {
+    const perfStart = performance.now();
+    const nodes = buildFolderIndex(await getTreeAsync());
+    const flatList = await persistFolderIndex(nodes);
+    console.log(`Folder index rebuilt: ${flatList.length} folders in ${Math.round(performance.now() - perfStart)} ms.`);
+    return flatList;
+}
+
+/**
+ * Loads the persisted index, building it if it doesn't exist yet.
+ */
+async function loadFolderIndex() {
+    const result = await getLocalStorageAsync([FOLDER_INDEX_KEY]);
+    if (result[FOLDER_INDEX_KEY]) return result[FOLDER_INDEX_KEY];
+    await rebuildFolderIndex();
+    return (await getLocalStorageAsync([FOLDER_INDEX_KEY]))[FOLDER_INDEX_KEY];
+}
+
+// --- INCREMENTAL UPDATES (one per chrome.bookmarks event) ---
+// Each returns true if the index changed and needs saving.
+
+function applyFolderCreated(nodes, node) {
+    if (node.url) return false;
+    nodes[node.id] = { id: node.id, title: node.title, parentId: node.parentId };
+    return true;
+}
+
+function applyFolderRemoved(nodes, id) {
+    if (!nodes[id]) return false;
+    // Removing a folder removes its whole subtree, but Chrome only reports the top folder
+    const removedIds = new Set([id]);
+    let foundMore = true;
+    while (foundMore) {
+        foundMore = false;
+        for (const node of Object.values(nodes)) {
+            if (!removedIds.has(node.id) && removedIds.has(node.parentId)) {
+                removedIds.add(node.id);
+                foundMore = true;
+            }
+        }
+    }
+    removedIds.forEach(removedId => delete nodes[removedId]);
+    return true;
+}
+
+function applyFolderMoved(nodes, id, parentId) {
+    if (!nodes[id] || nodes[id].parentId === parentId) return false;
+    nodes[id].parentId = parentId;
+    return true;
+}
+
+function applyFolderChanged(nodes, id, title) {
+    if (!nodes[id] || title === undefined || nodes[id].title === title) return false;
+    nodes[id].title = title;
+    return true;
+}
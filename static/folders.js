@@ -0,0 +1,131 @@
+// --- FOLDER MANAGEMENT ---
+// Create, rename, delete and merge folders. Deleting and merging trash bookmarks, so they run in the background
+// service worker ('deleteFolder' and 'mergeFolders' requests, see engine.js). Depends on common.js, search.js and trash.js.
+
+/**
+ * Loads a folder, rejecting bookmarks and the permanent top-level folders
+ * (Bookmarks bar, Other bookmarks, Mobile bookmarks), which Chrome doesn't let extensions change.
+ * @returns {Promise<chrome.bookmarks.BookmarkTreeNode>}
+ */
+async function getModifiableFolder(folderId) {
+    const [folder] = await getBookmarkAsync(folderId);
+    if (folder.url) throw new Error(`'${folder.title}' is a bookmark, not a folder.`);
+    if (!folder.parentId || folder.parentId === ROOT_NODE_ID || folder.unmodifiable) {
+        throw new Error(`'${folder.title}' is a built-in folder and cannot be changed.`);
+    }
+    return folder;
+}
+
+/**
+ * Creates a subfolder.
+ * @returns {Promise<chrome.bookmarks.BookmarkTreeNode>} - The new folder.
+ */
+async function createFolder(parentId, title) {
+    const trimmedTitle = (title || '').trim();
+    if (!trimmedTitle) throw new Error("Folder name cannot be empty.");
+    return createBookmarkAsync({ parentId, title: trimmedTitle });
+}
+
+/**
+ * Renames a folder.
+ * @returns {Promise<chrome.bookmarks.BookmarkTreeNode>} - The updated folder.
+ */
+async function renameFolder(folderId, title) {
+    const trimmedTitle = (title || '').trim();
+    if (!trimmedTitle) throw new Error("Folder name cannot be empty.");
+    await getModifiableFolder(folderId);
+    return updateBookmarkAsync(folderId, { title: trimmedTitle });
+}
+
+/**
+ * Counts everything below a folder.
+ * @returns {Promise<{bookmarks: number, folders: number}>}
+ */
+async function countFolderContents(folderId) {
+    const [folder] = await getSubTreeAsync(folderId);
+    const counts = { bookmarks: 0, folders: 0 };
+    const walk = (nodes) => {
+        for (const node of nodes || []) {
+            if (node.url) {
+                counts.bookmarks++;
+            } else {
+                counts.folders++;
+                walk(node.children);
+            }
+        }
+    };
+    walk(folder.children);
+    return counts;
+}
+
+/**
+ * Deletes a folder and everything in it. Its bookmarks go to the trash first, so they can be
+ * restored (into the default folder, since their original folder is gone).
+ * @returns {Promise<{trashed: number}>} - Number of bookmarks moved to the trash.
+ */
+async function deleteFolder(folderId) {
+    await getModifiableFolder(folderId);
+    const bookmarks = [];
+    collectBookmarks(await getSubTreeAsync(folderId), [], bookmarks);
+
+    const { trashed, errors } = await trashBookmarks(bookmarks.map(bookmark => bookmark.id));
+    if (errors.length > 0) {
+        // Keep the folder so the bookmarks that couldn't be trashed aren't lost
+        throw new Error(`${errors.length} bookmark(s) could not be moved to the trash; folder kept. ${errors[0].message}`);
+    }
+    await removeTreeAsync(folderId);
+    return { trashed: trashed.length };
+}
+
+/**
+ * Moves the contents of one folder into another, recursively. Bookmarks whose URL is already in the
+ * destination go to the trash; subfolders with the same title as one in the destination are merged too.
+ */
+async function mergeFolderContents(sourceId, targetId, report) {
+    const [sourceChildren, targetChildren] = await Promise.all([getChildrenAsync(sourceId), getChildrenAsync(targetId)]);
+    const targetUrls = new Set(targetChildren.filter(node => node.url).map(node => node.url));
+    const targetFolders = new Map(targetChildren.filter(node => !node.url).map(node => [node.title, node.id]));
+
+    for (const child of sourceChildren) {
+        if (child.url) {
+            if (targetUrls.has(child.url)) {
+                const { errors } = await trashBookmarks([child.id]);
+                if (errors.length > 0) throw new Error(errors[0].message);
+                report.duplicatesTrashed++;
+            } else {
+                await moveBookmarkAsync(child.id, { parentId: targetId });
+                targetUrls.add(child.url);
+                report.bookmarksMoved++;
+            }
+        } else if (targetFolders.has(child.title)) {
+            await mergeFolderContents(child.id, targetFolders.get(child.title), report);
+            await removeBookmarkAsync(child.id); // Empty now
+            report.foldersMerged++;
+        } else {
+            await moveBookmarkAsync(child.id, { parentId: targetId });
+            report.foldersMoved++;
+        }
+    }
+}
+
+/**
+ * Merges the source folder into the target folder and removes the (then empty) source.
+ * @returns {Promise<{bookmarksMoved: number, foldersMoved: number, foldersMerged: number, duplicatesTrashed: number}>}
+ */
+async function mergeFolders(sourceId, targetId) {
+    if (sourceId === targetId) throw new Error("Pick two different folders to merge.");
+    const source = await getModifiableFolder(sourceId);
+
+    // Chrome would refuse to move the source's children into its own subfolder halfway through
+    let ancestorId = targetId;
+    while (ancestorId && ancestorId !== ROOT_NODE_ID) {
+        if (ancestorId === sourceId) throw new Error(`Cannot merge '${source.title}' into one of its own subfolders.`);
+        const [ancestor] = await getBookmarkAsync(ancestorId);
+        ancestorId = ancestor.parentId;
+    }
+
+    const report = { bookmarksMoved: 0, foldersMoved: 0, foldersMerged: 0, duplicatesTrashed: 0 };
+    await mergeFolderContents(sourceId, targetId, report);
+    await removeBookmarkAsync(sourceId);
+    return report;
+}
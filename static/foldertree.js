@@ -0,0 +1,322 @@
+// --- FOLDER TREE ---
+// The popup's folder picker: a collapsible tree built from the flat folder list (see flattenFolderIndex()).
+// Arrow keys, Home/End and Page Up/Down move the selection, Right/Left expand, collapse or step in and out,
+// Enter and Space toggle. A filter highlights matching folders and keeps their ancestors visible, so
+// same-named folders stay apart; the breadcrumb shows where the selected folder is.
+// Popup only (uses the DOM). Depends on search.js (FOLDER_PATH_SEPARATOR).
+
+const TREE_INDENT_PX = 12;
+const TREE_PAGE_ROWS = 10; // Rows Page Up/Down move by
+const TREE_ROW_ID_PREFIX = 'folder-tree-';
+
+/**
+ * Builds a folder tree in a container element.
+ * @param {HTMLElement} container - Gets the rows; should be focusable (tabindex="0") for keyboard navigation.
+ * @param {Object} [options]
+ * @param {HTMLElement} [options.breadcrumb] - Shows the selected folder's path; clicking a part selects that folder.
+ * @param {function(Object|null, {byUser: boolean})} [options.onSelect] - Called with the selected folder whenever the
+ *     selection changes; byUser is false when select(), setFolders() or a filter rather than a click or key changed it.
+ * @returns {{
+ *   setFolders: function(Array<{id: string, title: string, depth: number, parentId: string}>),
+ *   select: function(string): boolean,
+ *   getSelected: function(): ({id: string, title: string, depth: number, parentId: string}|null),
+ *   getPath: function(string): Array<Object>,
+ *   setFilter: function(string),
+ *   focus: function()
+ * }}
+ */
+function createFolderTree(container, { breadcrumb = null, onSelect = () => {} } = {}) {
+    let folders = new Map();        // id -> {id, title, depth, parentId, children: Array<id>}
+    let rootIds = [];
+    const expanded = new Set();     // Folders opened while not filtering
+    const collapsedWhileFiltering = new Set(); // Folders closed by hand under the current filter
+    let selectedId = null;
+    let filter = '';
+    let visibleByFilter = null;     // Matches and their ancestors, or null without a filter
+    let visibleIds = [];            // Rows in display order
+    let hasLoaded = false;
+
+    const isOpen = (id) => (visibleByFilter ? !collapsedWhileFiltering.has(id) : expanded.has(id));
+    const visibleChildren = (id) => {
+        const children = id === null ? rootIds : folders.get(id).children;
+        return visibleByFilter ? children.filter(childId => visibleByFilter.has(childId)) : children;
+    };
+    const isMatch = (id) => filter !== '' && folders.get(id).title.toLowerCase().includes(filter);
+
+    const getPath = (id) => {
+        const path = [];
+        for (let folder = folders.get(id); folder; folder = folders.get(folder.parentId)) path.unshift(folder);
+        return path;
+    };
+    const publicFolder = (id) => {
+        const folder = folders.get(id);
+        return folder ? { id: folder.id, title: folder.title, depth: folder.depth, parentId: folder.parentId } : null;
+    };
+
+    // Title with the filter text in a <mark>; built from text nodes since titles can contain markup
+    const renderLabel = (label, title) => {
+        const position = filter ? title.toLowerCase().indexOf(filter) : -1;
+        if (position === -1) {
+            label.textContent = title;
+            return;
+        }
+        const mark = document.createElement('mark');
+        mark.textContent = title.slice(position, position + filter.length);
+        label.append(title.slice(0, position), mark, title.slice(position + filter.length));
+    };
+
+    const createRow = (id) => {
+        const folder = folders.get(id);
+        const row = document.createElement('div');
+        row.className = 'tree-row';
+        row.id = `${TREE_ROW_ID_PREFIX}${id}`;
+        row.dataset.id = id;
+        row.title = getPath(id).map(part => part.title).join(FOLDER_PATH_SEPARATOR);
+        row.style.paddingLeft = `${folder.depth * TREE_INDENT_PX}px`;
+        row.setAttribute('role', 'treeitem');
+        row.setAttribute('aria-level', String(folder.depth + 1));
+        row.setAttribute('aria-selected', String(id === selectedId));
+
+        const twisty = document.createElement('span');
+        twisty.className = 'twisty';
+        if (visibleChildren(id).length > 0) {
+            row.setAttribute('aria-expanded', String(isOpen(id)));
+            twisty.textContent = isOpen(id) ? '▾' : '▸';
+        }
+        const label = document.createElement('span');
+        label.className = 'label';
+        renderLabel(label, folder.title);
+        row.append(twisty, label);
+        return row;
+    };
+
+    const renderBreadcrumb = () => {
+        if (!breadcrumb) return;
+        breadcrumb.replaceChildren();
+        getPath(selectedId).forEach((folder, index) => {
+            if (index > 0) breadcrumb.append(' › ');
+            const part = document.createElement('span');
+            part.className = 'crumb';
+            part.dataset.id = folder.id;
+            part.textContent = folder.title;
+            breadcrumb.append(part);
+        });
+    };
+
+    const scrollToSelected = () => {
+        const row = selectedId && document.getElementById(`${TREE_ROW_ID_PREFIX}${selectedId}`);
+        if (row) row.scrollIntoView({ block: 'nearest' });
+    };
+
+    const render = () => {
+        visibleIds = [];
+        const walk = (parentId) => {
+            for (const id of visibleChildren(parentId)) {
+                visibleIds.push(id);
+                if (isOpen(id)) walk(id);
+            }
+        };
+        walk(null);
+
+        const fragment = document.createDocumentFragment();
+        visibleIds.forEach(id => fragment.append(createRow(id)));
+        if (visibleIds.length === 0) {
+            const message = document.createElement('div');
+            message.className = 'tree-message';
+            message.textContent = folders.size === 0 ? 'No folders found' : 'No matching folders';
+            fragment.append(message);
+        }
+        container.replaceChildren(fragment);
+        container.setAttribute('aria-activedescendant', visibleIds.includes(selectedId) ? `${TREE_ROW_ID_PREFIX}${selectedId}` : '');
+        renderBreadcrumb();
+        scrollToSelected();
+    };
+
+    // Opens every ancestor of a folder so its row is shown
+    const reveal = (id) => {
+        getPath(id).slice(0, -1).forEach(ancestor => {
+            expanded.add(ancestor.id);
+            collapsedWhileFiltering.delete(ancestor.id);
+        });
+    };
+
+    // Moves the highlight between two rows without rebuilding the list, which is slow with every folder open
+    const showSelection = (previousId) => {
+        const previousRow = previousId && document.getElementById(`${TREE_ROW_ID_PREFIX}${previousId}`);
+        if (previousRow) previousRow.setAttribute('aria-selected', 'false');
+        const row = selectedId && document.getElementById(`${TREE_ROW_ID_PREFIX}${selectedId}`);
+        if (row) row.setAttribute('aria-selected', 'true');
+        container.setAttribute('aria-activedescendant', row ? row.id : '');
+        renderBreadcrumb();
+        scrollToSelected();
+    };
+
+    const setSelected = (id, { revealRow = true, byUser = true } = {}) => {
+        if (id !== null && !folders.has(id)) return false;
+        const previousId = selectedId;
+        selectedId = id;
+        if (id !== null && revealRow && !visibleIds.includes(id)) {
+            reveal(id);
+            render();
+        } else {
+            showSelection(previousId);
+        }
+        if (id !== previousId) onSelect(publicFolder(selectedId), { byUser });
+        return true;
+    };
+
+    const setOpen = (id, open) => {
+        if (visibleByFilter) {
+            if (open) collapsedWhileFiltering.delete(id);
+            else collapsedWhileFiltering.add(id);
+        } else if (open) {
+            expanded.add(id);
+        } else {
+            expanded.delete(id);
+        }
+        render();
+    };
+
+    const moveSelection = (index) => {
+        if (visibleIds.length === 0) return;
+        setSelected(visibleIds[Math.max(0, Math.min(visibleIds.length - 1, index))], { revealRow: false });
+    };
+
+    const applyFilter = () => {
+        collapsedWhileFiltering.clear();
+        if (!filter) {
+            visibleByFilter = null;
+            if (selectedId) reveal(selectedId);
+            return;
+        }
+        visibleByFilter = new Set();
+        for (const id of folders.keys()) {
+            if (!isMatch(id)) continue;
+            getPath(id).forEach(folder => visibleByFilter.add(folder.id));
+        }
+    };
+
+    // Under a filter, keeps the selection on a match: the first one shown, if the selected folder isn't one
+    const selectFirstMatch = () => {
+        render();
+        if (!filter || (selectedId && isMatch(selectedId))) return;
+        const firstMatch = visibleIds.find(isMatch);
+        if (firstMatch) setSelected(firstMatch, { revealRow: false, byUser: false });
+    };
+
+    container.setAttribute('role', 'tree');
+
+    container.addEventListener('click', (event) => {
+        const row = event.target.closest('.tree-row');
+        if (!row) return;
+        const id = row.dataset.id;
+        if (event.target.classList.contains('twisty') && row.hasAttribute('aria-expanded')) {
+            setOpen(id, !isOpen(id));
+        } else {
+            setSelected(id, { revealRow: false });
+        }
+    });
+
+    container.addEventListener('dblclick', (event) => {
+        const row = event.target.closest('.tree-row');
+        if (row && row.hasAttribute('aria-expanded')) setOpen(row.dataset.id, !isOpen(row.dataset.id));
+    });
+
+    container.addEventListener('keydown', (event) => {
+        const index = visibleIds.indexOf(selectedId);
+        const hasChildren = selectedId !== null && index !== -1 && visibleChildren(selectedId).length > 0;
+        switch (event.key) {
+            case 'ArrowDown': moveSelection(index + 1); break;
+            case 'ArrowUp': moveSelection(index === -1 ? 0 : index - 1); break;
+            case 'PageDown': moveSelection(index + TREE_PAGE_ROWS); break;
+            case 'PageUp': moveSelection(index - TREE_PAGE_ROWS); break;
+            case 'Home': moveSelection(0); break;
+            case 'End': moveSelection(visibleIds.length - 1); break;
+            case 'ArrowRight':
+                if (hasChildren && !isOpen(selectedId)) setOpen(selectedId, true);
+                else if (hasChildren) moveSelection(index + 1); // First child
+                break;
+            case 'ArrowLeft':
+                if (hasChildren && isOpen(selectedId)) setOpen(selectedId, false);
+                else if (selectedId && folders.has(folders.get(selectedId).parentId)) setSelected(folders.get(selectedId).parentId);
+                break;
+            case 'Enter':
+            case ' ':
+                if (hasChildren) setOpen(selectedId, !isOpen(selectedId));
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+    });
+
+    if (breadcrumb) {
+        breadcrumb.addEventListener('click', (event) => {
+            const part = event.target.closest('.crumb');
+            if (part) setSelected(part.dataset.id);
+        });
+    }
+
+    return {
+        /**
+         * Replaces the folders, keeping the selection and open folders that still exist.
+         * Top-level folders start open.
+         */
+        setFolders(flatFolderList) {
+            folders = new Map();
+            rootIds = [];
+            for (const folder of flatFolderList) {
+                folders.set(folder.id, { ...folder, children: [] });
+            }
+            // The flat list is in display order, so children end up in order too
+            for (const folder of folders.values()) {
+                if (folders.has(folder.parentId)) folders.get(folder.parentId).children.push(folder.id);
+                else rootIds.push(folder.id);
+            }
+            [...expanded].filter(id => !folders.has(id)).forEach(id => expanded.delete(id));
+            if (!hasLoaded) rootIds.forEach(id => expanded.add(id));
+            hasLoaded = true;
+
+            const selectionGone = selectedId !== null && !folders.has(selectedId);
+            if (selectionGone) selectedId = null;
+            applyFilter();
+            render();
+            if (selectionGone) onSelect(null, { byUser: false });
+        },
+
+        /**
+         * Selects a folder and opens its ancestors.
+         * @returns {boolean} - False if there is no such folder.
+         */
+        select(id) {
+            return setSelected(id, { byUser: false });
+        },
+
+        getSelected() {
+            return publicFolder(selectedId);
+        },
+
+        /**
+         * The folders from the top level down to the given one.
+         */
+        getPath(id) {
+            return getPath(id).map(folder => publicFolder(folder.id));
+        },
+
+        /**
+         * Shows only folders whose title contains the text (case-insensitive) and their ancestors.
+         * Empty text shows the whole tree again.
+         */
+        setFilter(text) {
+            const normalized = text.toLowerCase().trim();
+            if (normalized === filter) return;
+            filter = normalized;
+            applyFilter();
+            selectFirstMatch();
+        },
+
+        focus() {
+            container.focus();
+        }
+    };
+}
@@ -0,0 +1,96 @@
+// --- CONTEXT MENUS ---
+// Right-click a page or a link to save it to the default folder or to one of the recently used folders.
+// Runs in the background service worker. Depends on common.js, folderindex.js and engine.js.
+
+const MENU_CONTEXTS = ['page', 'link'];
+const MENU_SAVE_DEFAULT_ID = 'save-default';
+const MENU_RECENT_PARENT_ID = 'save-recent';
+const MENU_RECENT_PREFIX = 'save-recent:'; // Followed by the folder ID
+
+const createMenuAsync = promisify(chrome.contextMenus, 'create');
+const removeAllMenusAsync = promisify(chrome.contextMenus, 'removeAll');
+const executeScriptAsync = promisify(chrome.scripting, 'executeScript');
+
+/**
+ * Recreates the menus from the current default folder, recent folders and folder titles.
+ * Folders that no longer exist are left out.
+ */
+async function buildContextMenus() {
+    const [syncResult, folderIndex] = await Promise.all([
+        getStorageAsync(['defaultFolderId', RECENT_FOLDERS_KEY]),
+        loadFolderIndex()
+    ]);
+    const defaultFolder = folderIndex[syncResult.defaultFolderId];
+    const recentFolders = (syncResult[RECENT_FOLDERS_KEY] || []).map(id => folderIndex[id]).filter(Boolean);
+
+    await removeAllMenusAsync();
+    await createMenuAsync({
+        id: MENU_SAVE_DEFAULT_ID,
+        title: defaultFolder ? `Save to default folder ('${defaultFolder.title}')` : 'Save to default folder (none set)',
+        contexts: MENU_CONTEXTS,
+        enabled: !!defaultFolder
+    });
+    if (recentFolders.length === 0) return;
+
+    await createMenuAsync({ id: MENU_RECENT_PARENT_ID, title: 'Save to recent folder', contexts: MENU_CONTEXTS });
+    for (const folder of recentFolders) {
+        await createMenuAsync({
+            id: MENU_RECENT_PREFIX + folder.id,
+            parentId: MENU_RECENT_PARENT_ID,
+            title: folder.title,
+            contexts: MENU_CONTEXTS
+        });
+    }
+}
+
+// Rebuilds run one at a time; two overlapping ones would create the same menu IDs twice
+let contextMenuQueue = Promise.resolve();
+
+function rebuildContextMenus() {
+    contextMenuQueue = contextMenuQueue
+        .then(buildContextMenus)
+        .catch(error => console.error("Error building context menus:", error.message));
+    return contextMenuQueue;
+}
+
+/**
+ * Reads the visible text of the clicked link from the page; Chrome only reports the link's URL.
+ * The menu click grants activeTab for that tab. Falls back to the selected text, then to the URL,
+ * where scripts can't run (e.g. chrome:// pages or the Web Store).
+ */
+async function getClickedLinkTitle(info, tab) {
+    try {
+        if (!tab || tab.id === undefined || tab.id < 0) throw new Error("The link isn't in a tab.");
+        const [injection] = await executeScriptAsync({
+            target: { tabId: tab.id, frameIds: [info.frameId || 0] },
+            func: (href) => {
+                const link = Array.from(document.links).find(candidate => candidate.href === href);
+                return link ? (link.innerText || link.textContent || link.title || '').trim() : '';
+            },
+            args: [info.linkUrl]
+        });
+        if (injection && injection.result) return injection.result.replace(/\s+/g, ' ');
+    } catch (error) {
+        console.warn("Couldn't read link text:", error.message);
+    }
+    return (info.selectionText || '').replace(/\s+/g, ' ').trim() || info.linkUrl;
+}
+
+/**
+ * Saves the clicked link (or the page, when not on a link) to the folder of the chosen menu item.
+ * @returns {Promise<Object|null>} - saveTabsToFolder()'s result, or null for menu items that don't save.
+ */
+async function handleContextMenuClick(info, tab) {
+    let folderId;
+    if (info.menuItemId === MENU_SAVE_DEFAULT_ID) {
+        folderId = (await getStorageAsync(['defaultFolderId'])).defaultFolderId;
+    } else if (String(info.menuItemId).startsWith(MENU_RECENT_PREFIX)) {
+        folderId = String(info.menuItemId).slice(MENU_RECENT_PREFIX.length);
+    }
+    if (!folderId) return null;
+
+    const target = info.linkUrl
+        ? { url: info.linkUrl, title: await getClickedLinkTitle(info, tab) }
+        : { url: info.pageUrl, title: tab ? tab.title : info.pageUrl };
+    return saveTabsToFolder({ folderId, tabs: [target] });
+}
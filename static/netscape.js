@@ -0,0 +1,209 @@
+// --- NETSCAPE BOOKMARK FILES ---
+// Reads and writes the standard bookmarks.html format used by Chrome, Firefox, Edge, Safari, etc.
+// Tags travel in the TAGS attribute Firefox uses; an import hands them back for the background to add.
+// Depends on common.js and tags.js. Parsing needs DOMParser, so it only works in the popup, not in the service worker;
+// serializing is plain string building and works anywhere.
+
+/**
+ * Converts a Netscape ADD_DATE attribute (seconds since epoch) to milliseconds.
+ * @returns {number|undefined}
+ */
+function parseNetscapeDate(value) {
+    const seconds = Number(value);
+    return value && Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : undefined;
+}
+
+/**
+ * Parses the items of one <DL> list. A folder is a <DT><H3> followed by its own <DL>,
+ * which browsers nest inside the <DT> but some generators place right after it.
+ * @param {HTMLDListElement} list
+ * @returns {Array<{title: string, url?: string, addDate?: number, tags?: Array<string>, children?: Array}>}
+ */
+function parseNetscapeList(list) {
+    const nodes = [];
+    for (const item of list.querySelectorAll('dt')) {
+        if (item.parentElement.closest('dl') !== list) continue; // Belongs to a nested list
+
+        const heading = item.querySelector(':scope > h3');
+        const link = item.querySelector(':scope > a');
+        if (heading) {
+            let childList = item.querySelector(':scope > dl');
+            if (!childList) {
+                let next = item.nextElementSibling;
+                while (next && next.tagName === 'P') next = next.nextElementSibling;
+                if (next && next.tagName === 'DL') childList = next;
+            }
+            nodes.push({
+                title: heading.textContent.trim(),
+                addDate: parseNetscapeDate(heading.getAttribute('add_date')),
+                children: childList ? parseNetscapeList(childList) : []
+            });
+        } else if (link && link.getAttribute('href')) {
+            nodes.push({
+                title: link.textContent.trim(),
+                url: link.getAttribute('href').trim(),
+                addDate: parseNetscapeDate(link.getAttribute('add_date')),
+                tags: parseTagList(link.getAttribute('tags'))
+            });
+        }
+        // Anything else (separators, feeds without links) is ignored
+    }
+    return nodes;
+}
+
+/**
+ * Parses a Netscape bookmarks.html document into a folder/bookmark tree.
+ * @param {string} html - File contents.
+ * @returns {Array<{title: string, url?: string, addDate?: number, tags?: Array<string>, children?: Array}>} - Top-level items.
+ */
+function parseNetscapeBookmarks(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const rootList = doc.querySelector('dl');
+    if (!rootList) {
+        throw new Error("No bookmark list found. Is this a Netscape bookmarks.html file?");
+    }
+    return parseNetscapeList(rootList);
+}
+
+/**
+ * Counts the folders and bookmarks in a parsed tree.
+ * @returns {{folders: number, bookmarks: number}}
+ */
+function countNetscapeNodes(nodes) {
+    let folders = 0;
+    let bookmarks = 0;
+    for (const node of nodes) {
+        if (node.url) {
+            bookmarks++;
+        } else {
+            const childCounts = countNetscapeNodes(node.children);
+            folders += 1 + childCounts.folders;
+            bookmarks += childCounts.bookmarks;
+        }
+    }
+    return { folders, bookmarks };
+}
+
+/**
+ * Recreates parsed items under a folder. Folders whose title already exists under the same parent
+ * are merged into rather than duplicated, which is what makes re-importing an updated dump safe.
+ * @param {Array<Object>} nodes - Items from parseNetscapeBookmarks().
+ * @param {string|null} parentId - Folder to create into; null in a dry run when the folder doesn't exist yet.
+ * @param {number} depth - Nesting level, for the preview indentation.
+ * @param {{skipExisting: boolean, dryRun: boolean, tagsById: Object}} options - `tagsById` collects the tags to store.
+ * @param {Object} report - Accumulator, see importNetscapeTree().
+ */
+async function importNetscapeNodes(nodes, parentId, depth, options, report) {
+    const indent = '  '.repeat(depth);
+    const existingChildren = parentId ? await getChildrenAsync(parentId) : [];
+    const existingFolderIds = new Map(existingChildren.filter(node => !node.url).map(node => [node.title, node.id]));
+    const urlsAddedHere = new Set(); // Catches duplicates inside the file itself, which a dry run can't see in Chrome
+
+    for (const node of nodes) {
+        try {
+            if (!node.url) {
+                let folderId = existingFolderIds.get(node.title) || null;
+                if (folderId) {
+                    report.foldersReused++;
+                    report.lines.push(`${indent}= [${node.title}] (exists, merging)`);
+                } else {
+                    if (!options.dryRun) {
+                        const folder = await createBookmarkAsync({ parentId, title: node.title });
+                        folderId = folder.id;
+                        existingFolderIds.set(node.title, folderId);
+                    }
+                    report.foldersCreated++;
+                    report.lines.push(`${indent}+ [${node.title}]`);
+                }
+                await importNetscapeNodes(node.children, folderId, depth + 1, options, report);
+                continue;
+            }
+
+            if (options.skipExisting) {
+                // Same check saveBookmark() makes: is this URL already bookmarked in the target folder?
+                const existingBookmarksForUrl = parentId ? await searchBookmarksAsync({ url: node.url }) : [];
+                if (urlsAddedHere.has(node.url) || existingBookmarksForUrl.some(bm => bm.parentId === parentId)) {
+                    report.skipped++;
+                    report.lines.push(`${indent}~ ${node.title || node.url} (already present, skipped)`);
+                    continue;
+                }
+            }
+
+            if (!options.dryRun) {
+                const bookmark = await createBookmarkAsync({ parentId, title: node.title || node.url, url: node.url });
+                if (node.tags && node.tags.length > 0) options.tagsById[bookmark.id] = node.tags;
+            }
+            urlsAddedHere.add(node.url);
+            report.bookmarksCreated++;
+            report.lines.push(`${indent}+ ${node.title || node.url}`);
+        } catch (error) {
+            console.error(`Error importing '${node.title || node.url}':`, error.message);
+            report.failed++;
+            report.lines.push(`${indent}! ${node.title || node.url} (${error.message})`);
+        }
+    }
+}
+
+/**
+ * Imports a parsed bookmarks.html tree under the target folder.
+ * @param {Array<Object>} nodes - Items from parseNetscapeBookmarks().
+ * @param {string} targetFolderId - Folder to import into.
+ * @param {Object} [options]
+ * @param {boolean} [options.skipExisting=true] - Skip URLs already bookmarked in the folder they'd be created in.
+ * @param {boolean} [options.dryRun=false] - Only report what would be created.
+ * @returns {Promise<{foldersCreated: number, foldersReused: number, bookmarksCreated: number, skipped: number, failed: number, lines: Array<string>, tagsById: Object<string, Array<string>>}>}
+ *          Counts plus a line-per-item preview ('+' create, '=' merge into existing folder, '~' skip, '!' error),
+ *          and the file's tags for each created bookmark (send them as an 'addTags' request, see engine.js).
+ */
+async function importNetscapeTree(nodes, targetFolderId, options = {}) {
+    const { skipExisting = true, dryRun = false } = options;
+    const report = { foldersCreated: 0, foldersReused: 0, bookmarksCreated: 0, skipped: 0, failed: 0, lines: [], tagsById: {} };
+    await importNetscapeNodes(nodes, targetFolderId, 0, { skipExisting, dryRun, tagsById: report.tagsById }, report);
+    return report;
+}
+
+// --- NETSCAPE EXPORT ---
+
+function escapeNetscapeText(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Serializes chrome.bookmarks tree nodes as <DT> items of a <DL> list.
+ */
+function serializeNetscapeList(nodes, depth, tagMap) {
+    const indent = '    '.repeat(depth);
+    let html = `${indent}<DL><p>\n`;
+    for (const node of nodes) {
+        const addDate = node.dateAdded ? ` ADD_DATE="${Math.floor(node.dateAdded / 1000)}"` : '';
+        if (node.url) {
+            const tags = tagMap[node.id] ? ` TAGS="${escapeNetscapeText(tagMap[node.id].join(','))}"` : '';
+            html += `${indent}    <DT><A HREF="${escapeNetscapeText(node.url)}"${addDate}${tags}>${escapeNetscapeText(node.title)}</A>\n`;
+        } else {
+            html += `${indent}    <DT><H3${addDate}>${escapeNetscapeText(node.title)}</H3>\n`;
+            html += serializeNetscapeList(node.children || [], depth + 1, tagMap);
+        }
+    }
+    html += `${indent}</DL><p>\n`;
+    return html;
+}
+
+/**
+ * Serializes chrome.bookmarks tree nodes as a Netscape bookmarks.html document,
+ * importable by every major browser (and by parseNetscapeBookmarks()).
+ * @param {Array<chrome.bookmarks.BookmarkTreeNode>} nodes - Top-level items to export.
+ * @param {Object<string, Array<string>>} [tagMap] - From getTagMap().
+ * @returns {string}
+ */
+function serializeNetscapeBookmarks(nodes, tagMap = {}) {
+    return '<!DOCTYPE NETSCAPE-Bookmark-file-1>\n'
+        + '<!-- This is an automatically generated file.\n     It will be read and overwritten.\n     DO NOT EDIT! -->\n'
+        + '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">\n'
+        + '<TITLE>Bookmarks</TITLE>\n'
+        + '<H1>Bookmarks</H1>\n'
+        + serializeNetscapeList(nodes, 0, tagMap);
+}
@@ -0,0 +1,35 @@
+// --- NOTES ---
+// A free-form note per bookmark (plain text or Markdown) saying why it was kept; search matches its text.
+// Notes are kept per bookmark ID in chrome.storage.local ('bookmarkNotes'), trimmed; a blank note removes the entry.
+// Only the background changes them, on the queue tags share (see annotations.js); pages send 'setNote' requests.
+// Shared by the popup and the background service worker. Depends on common.js, search.js and annotations.js.
+
+const NOTES_KEY = 'bookmarkNotes'; // chrome.storage.local: {[bookmarkId]: string}, never empty
+
+/**
+ * @returns {Promise<Object<string, string>>} - Bookmark ID -> note.
+ */
+function getNoteMap() {
+    return getAnnotationMap(NOTES_KEY);
+}
+
+/**
+ * Replaces a bookmark's note; blank text removes it.
+ */
+function setBookmarkNote(bookmarkId, text) {
+    const note = (text || '').trim();
+    return updateAnnotationMap(NOTES_KEY, noteMap => {
+        if ((noteMap[bookmarkId] || '') === note) return false;
+        if (note) noteMap[bookmarkId] = note;
+        else delete noteMap[bookmarkId];
+        return true;
+    });
+}
+
+/**
+ * Drops the notes of bookmarks that are no longer in the tree, e.g. everything inside a deleted folder.
+ * @returns {Promise<number>} - How many notes were dropped.
+ */
+function pruneBookmarkNotes() {
+    return pruneAnnotationMap(NOTES_KEY);
+}
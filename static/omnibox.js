@@ -0,0 +1,110 @@
+// --- OMNIBOX ---
+// Suggestions and commands for the "bm" address-bar keyword:
+//   bm <query>           Search all bookmarks (same syntax as the popup), open the chosen one
+//   bm save <folder>     Save the current tab to the folder best matching the given name or path prefix
+// Depends on common.js and search.js (FOLDER_PATH_SEPARATOR).
+
+const OMNIBOX_MAX_SUGGESTIONS = 8;
+const OMNIBOX_SAVE_PATTERN = /^save(?:\s+(.*))?$/i;
+const OMNIBOX_URL_SCHEMES = ['http:', 'https:', 'file:', 'ftp:']; // Typed addresses opened as they are
+
+/**
+ * Escapes text for omnibox descriptions, which are XML.
+ */
+function escapeOmniboxText(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Parses "save <folder>" input.
+ * @returns {string|null} - The folder text (possibly empty), or null if the input isn't a save command.
+ */
+function parseOmniboxSave(text) {
+    const match = text.trim().match(OMNIBOX_SAVE_PATTERN);
+    return match ? (match[1] || '').trim() : null;
+}
+
+/**
+ * Whether entered text is a URL to open rather than a query: the content of a suggestion just offered
+ * (a bookmark's URL), or a web, file or FTP address. Operators such as site:github.com stay queries.
+ * @param {string} text - The entered text, trimmed.
+ * @param {Set<string>} suggestedUrls - Contents of the suggestions offered for the last input.
+ */
+function isOmniboxUrl(text, suggestedUrls) {
+    if (suggestedUrls.has(text)) return true;
+    try {
+        return OMNIBOX_URL_SCHEMES.includes(new URL(text).protocol);
+    } catch (error) {
+        return false; // Not a URL at all
+    }
+}
+
+/**
+ * Builds "Bookmarks bar/Work/Infra" paths for a flat, depth-annotated folder list (see flattenFolderIndex()).
+ * @returns {Map<string, string>} - Folder ID -> path.
+ */
+function buildFolderPaths(flatFolderList) {
+    const paths = new Map();
+    const ancestors = []; // Titles of the folders above the current one, by depth
+    for (const folder of flatFolderList) {
+        ancestors.length = folder.depth;
+        ancestors.push(folder.title);
+        paths.set(folder.id, ancestors.join(FOLDER_PATH_SEPARATOR));
+    }
+    return paths;
+}
+
+/**
+ * How well a folder matches typed text: 4 = exact title or path, 3 = title or path starts with it,
+ * 2 = a word in the path starts with it, 1 = path contains it, 0 = no match.
+ */
+function rankFolderMatch(title, path, text) {
+    const query = text.toLowerCase();
+    const lowerTitle = title.toLowerCase();
+    const lowerPath = path.toLowerCase();
+    if (lowerTitle === query || lowerPath === query) return 4;
+    if (lowerTitle.startsWith(query) || lowerPath.startsWith(query)) return 3;
+    if (lowerPath.split(/[\s/_-]+/).some(word => word.startsWith(query))) return 2;
+    if (lowerPath.includes(query)) return 1;
+    return 0;
+}
+
+/**
+ * Finds the folders best matching typed text: best rank first, then shallower folders, then list order.
+ * @returns {Array<{id: string, title: string, path: string}>}
+ */
+function findFoldersByPrefix(flatFolderList, text) {
+    const paths = buildFolderPaths(flatFolderList);
+    return flatFolderList
+        .map((folder, index) => ({ folder, index, path: paths.get(folder.id), rank: text ? rankFolderMatch(folder.title, paths.get(folder.id), text) : 1 }))
+        .filter(candidate => candidate.rank > 0)
+        .sort((a, b) => b.rank - a.rank || a.folder.depth - b.folder.depth || a.index - b.index)
+        .map(({ folder, path }) => ({ id: folder.id, title: folder.title, path }));
+}
+
+/**
+ * Omnibox suggestions for typed input.
+ * @returns {Promise<Array<{content: string, description: string}>>}
+ */
+async function getOmniboxSuggestions(text, flatFolderList) {
+    const folderText = parseOmniboxSave(text);
+    if (folderText !== null) {
+        return findFoldersByPrefix(flatFolderList, folderText)
+            .slice(0, OMNIBOX_MAX_SUGGESTIONS)
+            .map(folder => ({
+                content: `save ${folder.path}`,
+                description: `Save this tab to <match>${escapeOmniboxText(folder.title)}</match> <dim>${escapeOmniboxText(folder.path)}</dim>`
+            }));
+    }
+
+    const matches = await searchBookmarkTree(text, { rootId: null });
+    return matches.slice(0, OMNIBOX_MAX_SUGGESTIONS).map(bookmark => ({
+        content: bookmark.url,
+        description: `${escapeOmniboxText(bookmark.title || bookmark.url)} <dim>${escapeOmniboxText(bookmark.folderPath)}</dim> <url>${escapeOmniboxText(bookmark.url)}</url>`
+    }));
+}
@@ -0,0 +1,132 @@
+// --- OPEN ALL ---
+// Opens many bookmarks without flooding the browser: into the current window, a new window or a named
+// tab group, in batches, optionally capped, and optionally discarded so pages only load when visited.
+// The options are read by the popup; the opening itself runs in the background service worker.
+// Depends on common.js.
+
+const OPEN_ALL_OPTIONS_KEY = 'openAllOptions'; // chrome.storage.sync
+
+// Where Open All puts the tabs
+const OPEN_TARGET_CURRENT = 'current';
+const OPEN_TARGET_WINDOW = 'window';
+const OPEN_TARGET_GROUP = 'group';
+
+const DEFAULT_OPEN_ALL_OPTIONS = {
+    target: OPEN_TARGET_CURRENT,
+    groupTitle: '',  // Empty: named after the folder or search
+    lazy: true,      // Discard each tab once its URL is set, so it loads only when selected
+    batchSize: 10,   // Tabs opened per batch
+    maxTabs: 50      // Cap on tabs per Open All; 0 = no cap
+};
+const OPEN_ALL_BATCH_DELAY_MS = 1000; // Pause between batches
+const LAZY_TAB_COMMIT_TIMEOUT_MS = 10000; // Give up discarding a tab whose URL never commits
+
+const discardTabAsync = promisify(chrome.tabs, 'discard');
+const updateWindowAsync = promisify(chrome.windows, 'update');
+
+async function getOpenAllOptions() {
+    const result = await getStorageAsync([OPEN_ALL_OPTIONS_KEY]);
+    return { ...DEFAULT_OPEN_ALL_OPTIONS, ...(result[OPEN_ALL_OPTIONS_KEY] || {}) };
+}
+
+/**
+ * Checks Open All options merged over the defaults.
+ * @throws {Error} If the target is unknown or a value has the wrong type or range.
+ */
+function validateOpenAllOptions(options) {
+    const merged = { ...DEFAULT_OPEN_ALL_OPTIONS, ...options };
+    if (![OPEN_TARGET_CURRENT, OPEN_TARGET_WINDOW, OPEN_TARGET_GROUP].includes(merged.target)) {
+        throw new Error(`Unknown Open All target '${merged.target}'.`);
+    }
+    if (typeof merged.groupTitle !== 'string') throw new Error("The group name must be text.");
+    if (typeof merged.lazy !== 'boolean') throw new Error("'lazy' must be true or false.");
+    if (!Number.isInteger(merged.batchSize) || merged.batchSize < 1) throw new Error("Batch size must be a whole number of at least 1.");
+    if (!Number.isInteger(merged.maxTabs) || merged.maxTabs < 0) throw new Error("Tab limit must be a whole number (0 = no limit).");
+    return merged;
+}
+
+/**
+ * Saves Open All options, after checking them.
+ */
+async function setOpenAllOptions(options) {
+    const merged = validateOpenAllOptions(options);
+    await setStorageAsync({ [OPEN_ALL_OPTIONS_KEY]: merged });
+    return merged;
+}
+
+/**
+ * Discards a new background tab as soon as its URL is committed; discarding earlier would lose the URL.
+ */
+function discardWhenCommitted(tabId) {
+    return new Promise((resolve) => {
+        const finish = (shouldDiscard) => {
+            chrome.tabs.onUpdated.removeListener(listener);
+            clearTimeout(timer);
+            if (!shouldDiscard) return resolve(false);
+            discardTabAsync(tabId).then(() => resolve(true), () => resolve(false));
+        };
+        const listener = (updatedTabId, changeInfo) => {
+            if (updatedTabId === tabId && changeInfo.url) finish(true);
+        };
+        const timer = setTimeout(() => finish(false), LAZY_TAB_COMMIT_TIMEOUT_MS);
+        chrome.tabs.onUpdated.addListener(listener);
+    });
+}
+
+/**
+ * Opens URLs in batches according to the Open All options.
+ * @param {Object} request
+ * @param {Array<string>} request.urls
+ * @param {string} [request.title] - Folder or search the URLs came from; names the tab group by default.
+ * @param {number} [request.windowId] - Window for the current-window and tab-group targets.
+ * @param {Object} request.options - From getOpenAllOptions().
+ * @param {function({opened: number, total: number}): void} [request.onProgress] - Called after each batch.
+ * @param {function(): boolean} [request.isCancelled] - Checked before each batch.
+ * @returns {Promise<{opened: number, total: number, capped: number, cancelled: boolean}>}
+ *          `total` is what was to be opened after the cap; `capped` is how many URLs the cap left out.
+ */
+async function openUrls({ urls, title = '', windowId, options, onProgress = () => {}, isCancelled = () => false }) {
+    const toOpen = options.maxTabs > 0 ? urls.slice(0, options.maxTabs) : urls.slice();
+    const result = { opened: 0, total: toOpen.length, capped: urls.length - toOpen.length, cancelled: false };
+    if (toOpen.length === 0) return result;
+
+    let groupId = null;
+    let newWindowId = null;
+    const lazyTabs = [];
+    if (options.target === OPEN_TARGET_WINDOW) {
+        // Unfocused, so the popup stays open to show progress; focused once everything is open
+        const newWindow = await createWindowAsync({ url: toOpen[0], focused: false });
+        windowId = newWindowId = newWindow.id;
+        result.opened = 1;
+    }
+
+    while (result.opened < toOpen.length) {
+        if (result.opened > 0) await new Promise(resolve => setTimeout(resolve, OPEN_ALL_BATCH_DELAY_MS));
+        if (isCancelled()) {
+            result.cancelled = true;
+            break;
+        }
+
+        const batch = toOpen.slice(result.opened, result.opened + options.batchSize);
+        const tabIds = [];
+        for (const url of batch) {
+            const tab = await createTabAsync({ url, active: false, windowId });
+            tabIds.push(tab.id);
+            if (options.lazy) lazyTabs.push(discardWhenCommitted(tab.id));
+        }
+        if (options.target === OPEN_TARGET_GROUP) {
+            if (groupId === null) {
+                groupId = await groupTabsAsync({ tabIds });
+                await updateTabGroupAsync(groupId, { title: options.groupTitle || title });
+            } else {
+                await groupTabsAsync({ groupId, tabIds });
+            }
+        }
+        result.opened += batch.length;
+        onProgress({ opened: result.opened, total: result.total });
+    }
+
+    await Promise.all(lazyTabs);
+    if (newWindowId !== null) await updateWindowAsync(newWindowId, { focused: true });
+    return result;
+}
@@ -0,0 +1,157 @@
+// --- OPTIONS PAGE ---
+// Page script for options.html. Behavior settings and title rules are saved on every change; the backup section
+// exports and imports every sync setting as JSON (see settings.js).
+// Depends on common.js, settings.js, query.js, titles.js and download.js (plus trash.js, filing.js, slots.js and opener.js for checking imports).
+
+function showStatus(message, isError = false) {
+    const status = document.getElementById('status');
+    status.textContent = message;
+    status.className = isError ? 'error' : '';
+    if (isError) console.error("Options (Error):", message);
+}
+
+/**
+ * Fills the fields from storage.
+ */
+async function loadOptions() {
+    try {
+        const settings = await getSettings();
+        document.querySelectorAll('.urlScheme').forEach(checkbox => {
+            checkbox.checked = settings.extraUrlSchemes.includes(checkbox.value);
+        });
+        document.getElementById('confirmDelete').checked = settings.confirmDelete;
+        document.getElementById('confirmDeleteAll').checked = settings.confirmDeleteAll;
+        document.getElementById('searchDelayMs').value = settings.searchDelayMs;
+        document.getElementById('searchTitlesOnly').checked = settings.searchTitlesOnly;
+    } catch (error) {
+        showStatus(`Error loading settings: ${error.message}`, true);
+    }
+}
+
+/**
+ * Saves the fields whenever one changes.
+ */
+async function saveOptions() {
+    try {
+        await setSettings({
+            extraUrlSchemes: [...document.querySelectorAll('.urlScheme:checked')].map(checkbox => checkbox.value),
+            confirmDelete: document.getElementById('confirmDelete').checked,
+            confirmDeleteAll: document.getElementById('confirmDeleteAll').checked,
+            searchDelayMs: Number(document.getElementById('searchDelayMs').value),
+            searchTitlesOnly: document.getElementById('searchTitlesOnly').checked
+        });
+        showStatus("Settings saved.");
+    } catch (error) {
+        showStatus(error.message, true);
+        await loadOptions(); // Put back the stored values
+    }
+}
+
+// --- TITLE RULES (see titles.js) ---
+
+/**
+ * Parses the 'titleOverrides' lines, "domain = template" each.
+ * @throws {Error} If a line has no "=".
+ */
+function parseTitleOverrides(text) {
+    return text.split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+            const separator = line.indexOf('=');
+            if (separator === -1) throw new Error(`Write '${line.trim()}' as domain = template.`);
+            return { domain: line.slice(0, separator), template: line.slice(separator + 1) };
+        });
+}
+
+async function loadTitleRules() {
+    try {
+        const rules = await getTitleRules();
+        document.getElementById('stripCounters').checked = rules.stripCounters;
+        document.getElementById('stripSiteName').checked = rules.stripSiteName;
+        document.getElementById('titleSuffixes').value = rules.suffixes.join('\n');
+        document.getElementById('titleTemplate').value = rules.template;
+        document.getElementById('titleOverrides').value = rules.overrides.map(override => `${override.domain} = ${override.template}`).join('\n');
+    } catch (error) {
+        showStatus(`Error loading title rules: ${error.message}`, true);
+    }
+    await updateTitleTest();
+}
+
+/**
+ * Saves the title rule fields whenever one changes.
+ */
+async function saveTitleRulesFromPage() {
+    try {
+        await setTitleRules({
+            stripCounters: document.getElementById('stripCounters').checked,
+            stripSiteName: document.getElementById('stripSiteName').checked,
+            suffixes: document.getElementById('titleSuffixes').value.split('\n'),
+            template: document.getElementById('titleTemplate').value,
+            overrides: parseTitleOverrides(document.getElementById('titleOverrides').value)
+        });
+        showStatus("Title rules saved.");
+        await loadTitleRules(); // Show them tidied up
+    } catch (error) {
+        showStatus(error.message, true);
+    }
+}
+
+/**
+ * Shows the title the 'Try it' page would be saved with under the saved rules.
+ */
+async function updateTitleTest() {
+    const title = document.getElementById('testTitle').value;
+    const url = document.getElementById('testUrl').value.trim();
+    const result = document.getElementById('titleTestResult');
+    try {
+        result.textContent = url ? `Saved as: ${formatBookmarkTitle(title, url, await getTitleRules())}` : '';
+    } catch (error) {
+        result.textContent = `Error: ${error.message}`;
+    }
+}
+
+// --- BACKUP ---
+
+async function exportSettings() {
+    try {
+        const json = await exportSettingsJson();
+        downloadTextFile(`bookmark-manager-settings-${new Date().toISOString().slice(0, 10)}.json`, json, 'application/json');
+        showStatus("Settings exported.");
+    } catch (error) {
+        showStatus(`Error exporting settings: ${error.message}`, true);
+    }
+}
+
+async function importSettings() {
+    const file = document.getElementById('importSettingsInput').files[0];
+    if (!file) {
+        showStatus("Choose a settings file to import.", true);
+        return;
+    }
+    try {
+        const importedKeys = await importSettingsJson(await file.text());
+        await loadOptions();
+        await loadTitleRules();
+        showStatus(importedKeys.length > 0
+            ? `Imported ${importedKeys.length} setting(s): ${importedKeys.join(', ')}.`
+            : "The file holds no settings to import.");
+    } catch (error) {
+        showStatus(`Error importing settings: ${error.message}`, true);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.querySelectorAll('.urlScheme, #confirmDelete, #confirmDeleteAll, #searchDelayMs, #searchTitlesOnly').forEach(input => {
+        input.addEventListener('change', saveOptions);
+    });
+    // A bad template keeps what was typed, so it can be fixed, and the stored rules stay in force
+    document.querySelectorAll('#stripCounters, #stripSiteName, #titleSuffixes, #titleTemplate, #titleOverrides').forEach(input => {
+        input.addEventListener('change', saveTitleRulesFromPage);
+    });
+    document.getElementById('testTitle').addEventListener('input', updateTitleTest);
+    document.getElementById('testUrl').addEventListener('input', updateTitleTest);
+    document.getElementById('exportSettingsButton').addEventListener('click', exportSettings);
+    document.getElementById('importSettingsButton').addEventListener('click', importSettings);
+    loadOptions();
+    loadTitleRules();
+});
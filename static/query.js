@@ -0,0 +1,189 @@
+// --- SEARCH QUERY SYNTAX ---
+// Parses search box input such as:  react site:github.com folder:"Work/Infra" tag:docs note:why added:>2025-01-01 -draft "exact phrase"
+// Shared by the popup and the background service worker. No dependencies.
+
+// Operators accepted as `name:value`; anything else with a colon (e.g. "https://...") is plain text
+const QUERY_OPERATORS = ['site', 'folder', 'title', 'url', 'added', 'tag', 'note'];
+
+/**
+ * Creates the error thrown for malformed queries.
+ * Callers check `error.isQuerySyntaxError` to tell these apart from Chrome API errors.
+ */
+function querySyntaxError(message, position) {
+    const error = new Error(message);
+    error.isQuerySyntaxError = true;
+    error.position = position;
+    return error;
+}
+
+/**
+ * Parses a date value for `added:` into the time span it covers.
+ * Accepts YYYY, YYYY-MM or YYYY-MM-DD (local time).
+ * @returns {{start: number, end: number}|null} - Span as [start, end) timestamps, or null if invalid.
+ */
+function parseQueryDate(value) {
+    const match = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/.exec(value);
+    if (!match) return null;
+    const year = Number(match[1]);
+    const month = match[2] ? Number(match[2]) - 1 : null;
+    const day = match[3] ? Number(match[3]) : null;
+
+    let start, end;
+    if (day !== null) {
+        start = new Date(year, month, day);
+        end = new Date(year, month, day + 1);
+        if (start.getMonth() !== month) return null; // e.g. 2025-02-31
+    } else if (month !== null) {
+        if (month > 11) return null;
+        start = new Date(year, month, 1);
+        end = new Date(year, month + 1, 1);
+    } else {
+        start = new Date(year, 0, 1);
+        end = new Date(year + 1, 0, 1);
+    }
+    return { start: start.getTime(), end: end.getTime() };
+}
+
+/**
+ * Builds the clause for an `added:` value like ">2025-01-01", "<=2024-06" or "2023".
+ */
+function parseAddedClause(value, negated, position) {
+    const match = /^(>=|<=|>|<|=)?(.*)$/.exec(value);
+    const comparator = match[1] || '=';
+    const span = parseQueryDate(match[2]);
+    if (!span) {
+        throw querySyntaxError(`Invalid date '${match[2]}' in added: (use YYYY, YYYY-MM or YYYY-MM-DD).`, position);
+    }
+    return { field: 'added', value, negated, comparator, span };
+}
+
+/**
+ * Parses search box text into clauses that must all match.
+ * - bare words and "quoted phrases" match title, URL or note; inside quotes, "" stands for a literal quote
+ * - site:, folder:, title:, url:, added:, tag:, note: filter on one property
+ * - a leading '-' excludes matches (works on words, phrases and operators)
+ * @param {string} text - Raw search box input.
+ * @returns {Array<{field: string, value: string, negated: boolean, comparator?: string, span?: {start: number, end: number}}>}
+ * @throws {Error} With `isQuerySyntaxError` set, for unterminated quotes, unknown operators, empty values or bad dates.
+ */
+function parseSearchQuery(text) {
+    const clauses = [];
+    const input = text || '';
+    let i = 0;
+
+    while (i < input.length) {
+        if (/\s/.test(input[i])) { i++; continue; }
+        const tokenStart = i;
+
+        let negated = false;
+        if (input[i] === '-') {
+            if (i + 1 >= input.length || /\s/.test(input[i + 1])) {
+                throw querySyntaxError("'-' must be followed by a word, phrase or operator to exclude.", i);
+            }
+            negated = true;
+            i++;
+        }
+
+        // Read up to the next whitespace; quoted sections may contain spaces
+        let raw = '';
+        let quoteStart = -1;
+        while (i < input.length && !/\s/.test(input[i])) {
+            if (input[i] === '"') {
+                if (quoteStart === -1) quoteStart = raw.length;
+                const quoteOpen = i;
+                let quoteEnd = input.indexOf('"', i + 1);
+                let phrase = '';
+                while (quoteEnd !== -1 && input[quoteEnd + 1] === '"') { // "" inside quotes is a literal quote
+                    phrase += input.slice(i + 1, quoteEnd + 1);
+                    i = quoteEnd + 1;
+                    quoteEnd = input.indexOf('"', i + 1);
+                }
+                if (quoteEnd === -1) throw querySyntaxError(`Unterminated quote at position ${quoteOpen + 1}.`, quoteOpen);
+                raw += phrase + input.slice(i + 1, quoteEnd);
+                i = quoteEnd + 1;
+            } else {
+                raw += input[i++];
+            }
+        }
+
+        // `name:value`, unless the colon only appears inside quotes or it looks like a URL scheme
+        const colonIndex = raw.indexOf(':');
+        const isOperator = colonIndex > 0
+            && (quoteStart === -1 || colonIndex < quoteStart)
+            && /^[a-z]+$/i.test(raw.slice(0, colonIndex))
+            && !raw.slice(colonIndex + 1).startsWith('//');
+
+        if (!isOperator) {
+            if (raw.trim() === '') throw querySyntaxError(`Empty phrase at position ${tokenStart + 1}.`, tokenStart);
+            clauses.push({ field: 'any', value: raw.toLowerCase(), negated });
+            continue;
+        }
+
+        const field = raw.slice(0, colonIndex).toLowerCase();
+        const value = raw.slice(colonIndex + 1).trim();
+        if (!QUERY_OPERATORS.includes(field)) {
+            throw querySyntaxError(`Unknown operator '${field}:' (use ${QUERY_OPERATORS.map(op => op + ':').join(', ')}).`, tokenStart);
+        }
+        if (value === '') throw querySyntaxError(`Missing value after '${field}:'.`, tokenStart);
+
+        if (field === 'added') {
+            clauses.push(parseAddedClause(value, negated, tokenStart));
+        } else {
+            // Folder paths are compared without surrounding slashes, tags without a leading '#'
+            let normalizedValue = value;
+            if (field === 'folder') normalizedValue = value.replace(/^\/+|\/+$/g, '');
+            else if (field === 'tag') normalizedValue = value.replace(/^#+/, '');
+            clauses.push({ field, value: normalizedValue.toLowerCase(), negated });
+        }
+    }
+    return clauses;
+}
+
+/**
+ * Returns the host of a URL without "www.", or '' if it cannot be parsed.
+ */
+function getUrlHost(url) {
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * Tests one non-text clause (site:, folder:, title:, url:, added:, tag:, note:) against a bookmark.
+ * @param {{title: string, url: string, dateAdded: number, folderPath: string, tags?: Array<string>, note?: string}} bookmark
+ */
+function matchesQueryFilter(bookmark, clause) {
+    switch (clause.field) {
+        case 'site': {
+            const host = getUrlHost(bookmark.url);
+            const site = clause.value.replace(/^www\./, '');
+            return host === site || host.endsWith(`.${site}`);
+        }
+        case 'folder':
+            // Segment-aligned, so folder:"Work/Infra" matches "Bookmarks bar/Work/Infra/Old" but not "Homework"
+            return `/${bookmark.folderPath.toLowerCase()}/`.includes(`/${clause.value}/`);
+        case 'title':
+            return bookmark.title.toLowerCase().includes(clause.value);
+        case 'url':
+            return bookmark.url.toLowerCase().includes(clause.value);
+        case 'tag':
+            return (bookmark.tags || []).includes(clause.value);
+        case 'note':
+            return (bookmark.note || '').toLowerCase().includes(clause.value);
+        case 'added': {
+            const added = bookmark.dateAdded || 0;
+            const { start, end } = clause.span;
+            switch (clause.comparator) {
+                case '>': return added >= end;
+                case '>=': return added >= start;
+                case '<': return added < start;
+                case '<=': return added < end;
+                default: return added >= start && added < end;
+            }
+        }
+        default:
+            return false;
+    }
+}
@@ -0,0 +1,168 @@
+// --- TREE-WIDE BOOKMARK SEARCH ---
+// Walks the bookmark tree (or one folder's subtree) and ranks bookmarks by title, URL and note
+// (or by title alone, if set on the options page).
+// Shared by the popup and the background service worker. Depends on common.js, settings.js, query.js, tags.js and notes.js.
+
+// Rank values, higher is better
+const MATCH_RANK_EXACT = 4;
+const MATCH_RANK_PREFIX = 3;
+const MATCH_RANK_SUBSTRING = 2;
+const MATCH_RANK_FUZZY = 1;
+
+const FOLDER_PATH_SEPARATOR = '/';
+
+/**
+ * Flattens bookmark tree nodes into a list of bookmarks annotated with their folder path.
+ * @param {Array<chrome.bookmarks.BookmarkTreeNode>} nodes - Nodes to walk.
+ * @param {Array<string>} parentPath - Folder titles leading to these nodes.
+ * @param {Array<Object>} results - Accumulator for {id, title, url, parentId, dateAdded, dateLastUsed, folderPath}.
+ * @param {Object} [options]
+ * @param {string|null} [options.rootId] - Only collect bookmarks below this folder.
+ * @param {boolean} [options.recursive=true] - If false, only collect direct children of rootId.
+ * @param {boolean} [insideRoot] - Internal: whether the walk is already below rootId.
+ */
+function collectBookmarks(nodes, parentPath, results, options = {}, insideRoot = !options.rootId) {
+    const { rootId = null, recursive = true } = options;
+    if (!nodes) return;
+
+    for (const node of nodes) {
+        if (node.url) {
+            if (insideRoot) {
+                results.push({
+                    id: node.id,
+                    title: node.title || '',
+                    url: node.url,
+                    parentId: node.parentId,
+                    dateAdded: node.dateAdded,
+                    dateLastUsed: node.dateLastUsed,
+                    folderPath: parentPath.join(FOLDER_PATH_SEPARATOR)
+                });
+            }
+            continue;
+        }
+
+        // The invisible root node (ID '0') has no title and is left out of paths
+        const childPath = node.title ? [...parentPath, node.title] : parentPath;
+        const isRoot = node.id === rootId;
+        if (insideRoot && !recursive && !isRoot) continue; // Direct children only
+
+        collectBookmarks(node.children, childPath, results, options, insideRoot || isRoot);
+    }
+}
+
+/**
+ * IDs of every bookmark (not folder) in the tree.
+ * @returns {Promise<Set<string>>}
+ */
+async function getAllBookmarkIds() {
+    const bookmarks = [];
+    collectBookmarks(await getTreeAsync(), [], bookmarks);
+    return new Set(bookmarks.map(bookmark => bookmark.id));
+}
+
+/**
+ * Strips the scheme and a leading "www." so "github.com" matches "https://www.github.com/...".
+ */
+function stripUrlScheme(url) {
+    return url.toLowerCase().replace(/^[a-z][a-z0-9+.-]*:\/\//, '').replace(/^www\./, '');
+}
+
+/**
+ * True if every character of term appears in text in order (e.g. "gthb" in "github").
+ */
+function isFuzzyMatch(text, term) {
+    let position = 0;
+    for (const char of term) {
+        position = text.indexOf(char, position);
+        if (position === -1) return false;
+        position++;
+    }
+    return true;
+}
+
+/**
+ * Ranks how well a bookmark matches a lowercase search term.
+ * Exact title/URL beats a prefix, which beats a substring (in the title, URL or note),
+ * which beats a fuzzy (in-order letters) match.
+ * @param {boolean} [titlesOnly=false] - Ignore the URL and note.
+ * @returns {number} - One of the MATCH_RANK_* constants, or 0 for no match.
+ */
+function rankBookmarkMatch(bookmark, term, titlesOnly = false) {
+    if (!term) return MATCH_RANK_SUBSTRING; // Empty search lists everything
+    const title = bookmark.title.toLowerCase();
+    const url = bookmark.url.toLowerCase();
+    const bareUrl = stripUrlScheme(url);
+    const bareTerm = stripUrlScheme(term);
+    // A term that is only a scheme or "www." strips to '', which every URL would start with
+    const compareBare = !titlesOnly && bareTerm !== '';
+
+    if (title === term) return MATCH_RANK_EXACT;
+    if (!titlesOnly && url === term) return MATCH_RANK_EXACT;
+    if (compareBare && (bareUrl === bareTerm || bareUrl === `${bareTerm}/`)) return MATCH_RANK_EXACT;
+    if (title.startsWith(term)) return MATCH_RANK_PREFIX;
+    if (!titlesOnly && url.startsWith(term)) return MATCH_RANK_PREFIX;
+    if (compareBare && bareUrl.startsWith(bareTerm)) return MATCH_RANK_PREFIX;
+    if (title.includes(term)) return MATCH_RANK_SUBSTRING;
+    if (!titlesOnly && url.includes(term)) return MATCH_RANK_SUBSTRING;
+    if (!titlesOnly && bookmark.note && bookmark.note.toLowerCase().includes(term)) return MATCH_RANK_SUBSTRING;
+    // Fuzzy matching only on titles, on URLs it matches nearly anything
+    if (term.length >= 3 && isFuzzyMatch(title, term)) return MATCH_RANK_FUZZY;
+    return 0;
+}
+
+/**
+ * Ranks a bookmark against parsed query clauses (see parseSearchQuery()).
+ * Free-text clauses are ranked with rankBookmarkMatch() and the weakest one decides the rank;
+ * operator clauses only filter. Exclusions ignore fuzzy matches so "-git" doesn't drop everything with a g, i and t.
+ * @param {boolean} [titlesOnly=false] - Free text ignores URLs and notes.
+ * @returns {number} - One of the MATCH_RANK_* constants, or 0 if any clause rejects the bookmark.
+ */
+function rankQueryMatch(bookmark, clauses, titlesOnly = false) {
+    let rank = MATCH_RANK_SUBSTRING; // No free text lists everything that passes the filters
+    let hasFreeText = false;
+
+    for (const clause of clauses) {
+        if (clause.field === 'any') {
+            const clauseRank = rankBookmarkMatch(bookmark, clause.value, titlesOnly);
+            if (clause.negated) {
+                if (clauseRank >= MATCH_RANK_SUBSTRING) return 0;
+                continue;
+            }
+            if (clauseRank === 0) return 0;
+            rank = hasFreeText ? Math.min(rank, clauseRank) : clauseRank;
+            hasFreeText = true;
+        } else if (matchesQueryFilter(bookmark, clause) === clause.negated) {
+            return 0;
+        }
+    }
+    return rank;
+}
+
+/**
+ * Searches bookmarks by title, URL and note (or title only, see the searchTitlesOnly setting),
+ * with the operators described in query.js.
+ * @param {string} queryText - Search box text; empty lists every bookmark in scope.
+ * @param {Object} [options]
+ * @param {string|null} [options.rootId] - Folder to search in; null searches the whole tree.
+ * @param {boolean} [options.recursive=true] - Include the folder's subfolders.
+ * @returns {Promise<Array<Object>>} - Matches sorted best first, each with a `rank`, `folderPath`, `tags` and `note`.
+ * @throws {Error} With `isQuerySyntaxError` set if the query cannot be parsed.
+ */
+async function searchBookmarkTree(queryText, options = {}) {
+    const clauses = parseSearchQuery(queryText); // Parse first so syntax errors don't wait on getTree
+    const [bookmarkTreeNodes, tagMap, noteMap, settings] = await Promise.all([getTreeAsync(), getTagMap(), getNoteMap(), getSettings()]);
+    const bookmarks = [];
+    collectBookmarks(bookmarkTreeNodes, [], bookmarks, options);
+
+    const matches = [];
+    for (const bookmark of bookmarks) {
+        bookmark.tags = tagMap[bookmark.id] || [];
+        bookmark.note = noteMap[bookmark.id] || '';
+        const rank = rankQueryMatch(bookmark, clauses, settings.searchTitlesOnly);
+        if (rank > 0) matches.push({ ...bookmark, rank });
+    }
+
+    // Best rank first, then alphabetically so equal ranks have a stable order
+    matches.sort((a, b) => b.rank - a.rank || a.title.localeCompare(b.title));
+    return matches;
+}
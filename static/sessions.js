@@ -0,0 +1,120 @@
+// --- SESSIONS ---
+// A session is a folder holding the tabs of a window (or of one tab group) in tab order.
+// Tab groups can't be stored in bookmarks, so each session's groups (title, color and member bookmarks)
+// are recorded in chrome.storage.local and recreated on restore.
+// Depends on common.js and settings.js.
+
+const SESSIONS_KEY = 'sessionFolders'; // chrome.storage.local: {[folderId]: {savedAt, groups: Array<{title, color, collapsed, bookmarkIds}>}}
+const NO_TAB_GROUP = -1; // chrome.tabGroups.TAB_GROUP_ID_NONE
+
+/**
+ * Default session folder name, e.g. "Session 2025-03-14 09:30".
+ */
+function formatSessionName(date) {
+    const pad = (number) => String(number).padStart(2, '0');
+    return `Session ${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+async function getSessionRecords() {
+    const result = await getLocalStorageAsync([SESSIONS_KEY]);
+    return result[SESSIONS_KEY] || {};
+}
+
+/**
+ * Saves the tabs of a window, or of one tab group, into a new subfolder.
+ * @param {Object} options
+ * @param {string} options.parentId - Folder to create the session folder in.
+ * @param {string} [options.name] - Session folder name; defaults to a timestamp.
+ * @param {number} [options.windowId] - Window to save; defaults to the current window.
+ * @param {number|null} [options.groupId] - Tab group to save instead of the whole window.
+ * @returns {Promise<{folderId: string, folderTitle: string, saved: number, skipped: number, groups: number}>}
+ *          `skipped` counts tabs that can't be bookmarked (chrome:// pages etc.).
+ */
+async function saveSession({ parentId, name = '', windowId = chrome.windows.WINDOW_ID_CURRENT, groupId = null }) {
+    const hasGroup = groupId !== null && groupId !== undefined && groupId !== NO_TAB_GROUP;
+    const tabs = await queryTabsAsync(hasGroup ? { groupId } : { windowId });
+    tabs.sort((a, b) => a.index - b.index);
+    if (tabs.length === 0) throw new Error("No tabs to save.");
+
+    // Groups in tab order, keyed by Chrome's (temporary) group ID
+    const groups = new Map();
+    for (const tab of tabs) {
+        if (tab.groupId === undefined || tab.groupId === NO_TAB_GROUP || groups.has(tab.groupId)) continue;
+        const group = await getTabGroupAsync(tab.groupId);
+        groups.set(tab.groupId, { title: group.title || '', color: group.color, collapsed: !!group.collapsed, bookmarkIds: [] });
+    }
+
+    const settings = await getSettings();
+    const folderTitle = name.trim() || formatSessionName(new Date());
+    const folder = await createBookmarkAsync({ parentId, title: folderTitle });
+    const report = { folderId: folder.id, folderTitle, saved: 0, skipped: 0, groups: groups.size };
+
+    for (const tab of tabs) {
+        if (!isBookmarkableUrl(tab.url, settings)) {
+            report.skipped++;
+            continue;
+        }
+        const bookmark = await createBookmarkAsync({ parentId: folder.id, title: tab.title || tab.url, url: tab.url });
+        if (groups.has(tab.groupId)) groups.get(tab.groupId).bookmarkIds.push(bookmark.id);
+        report.saved++;
+    }
+
+    if (groups.size > 0) {
+        const records = await getSessionRecords();
+        records[folder.id] = { savedAt: Date.now(), groups: [...groups.values()] };
+        await setLocalStorageAsync({ [SESSIONS_KEY]: records });
+    }
+    return report;
+}
+
+/**
+ * Opens a folder's bookmarks (not its subfolders) in a new window, in folder order,
+ * and recreates the tab groups recorded when it was saved as a session.
+ * Works for any folder; one that wasn't saved as a session just opens without groups.
+ * @returns {Promise<{opened: number, groups: number}>}
+ */
+async function restoreSession(folderId) {
+    const children = await getChildrenAsync(folderId);
+    const bookmarks = children.filter(child => child.url);
+    if (bookmarks.length === 0) throw new Error("This folder has no bookmarks to open.");
+
+    const newWindow = await createWindowAsync({ url: bookmarks.map(bookmark => bookmark.url), focused: true });
+    const tabIdsByBookmark = new Map(bookmarks.map((bookmark, index) => [bookmark.id, newWindow.tabs[index].id]));
+    const records = await getSessionRecords();
+    const record = records[folderId];
+    let groupsCreated = 0;
+
+    for (const group of (record ? record.groups : [])) {
+        // Bookmarks deleted since the session was saved are simply left out
+        const tabIds = group.bookmarkIds.map(id => tabIdsByBookmark.get(id)).filter(Boolean);
+        if (tabIds.length === 0) continue;
+        try {
+            const newGroupId = await groupTabsAsync({ tabIds, createProperties: { windowId: newWindow.id } });
+            await updateTabGroupAsync(newGroupId, { title: group.title, color: group.color, collapsed: group.collapsed });
+            groupsCreated++;
+        } catch (error) {
+            console.error(`Error recreating tab group '${group.title}':`, error.message);
+        }
+    }
+    return { opened: bookmarks.length, groups: groupsCreated };
+}
+
+/**
+ * Drops the group records of deleted session folders: the removed folder and every folder inside it.
+ * @param {chrome.bookmarks.BookmarkTreeNode} removedNode - From onRemoved, which includes the removed subtree.
+ */
+async function forgetSessions(removedNode) {
+    const folderIds = [];
+    const collectFolderIds = (node) => {
+        if (node.url) return;
+        folderIds.push(node.id);
+        (node.children || []).forEach(collectFolderIds);
+    };
+    collectFolderIds(removedNode);
+
+    const records = await getSessionRecords();
+    const forgotten = folderIds.filter(folderId => records[folderId]);
+    if (forgotten.length === 0) return;
+    forgotten.forEach(folderId => delete records[folderId]);
+    await setLocalStorageAsync({ [SESSIONS_KEY]: records });
+}
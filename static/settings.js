@@ -0,0 +1,149 @@
+// --- SETTINGS ---
+// Behavior settings edited on the options page (options.html) and read by the popup and the background
+// service worker, plus the JSON export/import of every setting kept in chrome.storage.sync.
+// Depends on common.js; importing also needs the validators of titles.js, filing.js, slots.js, opener.js and trash.js.
+
+const SETTINGS_KEY = 'behaviorSettings'; // chrome.storage.sync
+
+// http: and https: pages can always be saved; these can be allowed on the options page
+const OPTIONAL_URL_SCHEMES = ['file:', 'ftp:'];
+const WEB_URL_SCHEMES = ['http:', 'https:'];
+
+const MAX_SEARCH_DELAY_MS = 2000;
+
+const DEFAULT_SETTINGS = {
+    extraUrlSchemes: [],      // Any of OPTIONAL_URL_SCHEMES
+    confirmDelete: false,     // Ask before Delete Bookmark (deleted bookmarks go to the trash either way)
+    confirmDeleteAll: true,   // Ask before deleting selected search results
+    searchDelayMs: 250,       // Pause after typing before the folder list is filtered
+    searchTitlesOnly: false   // Free-text search ignores URLs and notes (operators like site: still work)
+};
+
+// chrome.storage.sync keys included in a settings export, with the module that owns each.
+// lastBookmarkedFolderID is left out: it is where the last save went, not a setting.
+const EXPORTED_SYNC_KEYS = [
+    SETTINGS_KEY,
+    'defaultFolderId',    // bookmarks.js
+    'recentFolderIds',    // engine.js
+    'trashRetentionDays', // trash.js
+    'filingRules',        // filing.js
+    'titleRules',         // titles.js
+    'saveSlots',          // slots.js
+    'openAllOptions'      // opener.js
+];
+const SETTINGS_EXPORT_FORMAT = 'bookmark-manager-settings';
+
+const isFolderId = (value) => typeof value === 'string' && value !== '';
+
+/**
+ * The check each exported key goes through on import; each returns the value to store or throws.
+ * Built on call, since the validators live in modules loaded after this one.
+ */
+function getSettingValidators() {
+    return {
+        [SETTINGS_KEY]: validateSettings,
+        defaultFolderId: (folderId) => {
+            if (!isFolderId(folderId)) throw new Error("The default folder must be a folder ID.");
+            return folderId;
+        },
+        recentFolderIds: (folderIds) => {
+            if (!Array.isArray(folderIds) || !folderIds.every(isFolderId)) throw new Error("Recent folders must be a list of folder IDs.");
+            return folderIds;
+        },
+        trashRetentionDays: validateTrashRetentionDays,
+        filingRules: validateFilingRules,
+        titleRules: validateTitleRules,
+        saveSlots: validateSaveSlots,
+        openAllOptions: validateOpenAllOptions
+    };
+}
+
+async function getSettings() {
+    const result = await getStorageAsync([SETTINGS_KEY]);
+    return { ...DEFAULT_SETTINGS, ...(result[SETTINGS_KEY] || {}) };
+}
+
+/**
+ * Checks settings merged over the defaults; unknown fields are dropped.
+ * @throws {Error} If a value is out of range.
+ */
+function validateSettings(settings) {
+    const merged = {};
+    for (const field of Object.keys(DEFAULT_SETTINGS)) {
+        merged[field] = settings[field] === undefined ? DEFAULT_SETTINGS[field] : settings[field];
+    }
+    if (!Array.isArray(merged.extraUrlSchemes) || merged.extraUrlSchemes.some(scheme => !OPTIONAL_URL_SCHEMES.includes(scheme))) {
+        throw new Error(`Extra URL schemes must be among ${OPTIONAL_URL_SCHEMES.join(', ')}.`);
+    }
+    if (!Number.isInteger(merged.searchDelayMs) || merged.searchDelayMs < 0 || merged.searchDelayMs > MAX_SEARCH_DELAY_MS) {
+        throw new Error(`Search delay must be a whole number of milliseconds from 0 to ${MAX_SEARCH_DELAY_MS}.`);
+    }
+    for (const field of ['confirmDelete', 'confirmDeleteAll', 'searchTitlesOnly']) {
+        if (typeof merged[field] !== 'boolean') throw new Error(`'${field}' must be true or false.`);
+    }
+    return merged;
+}
+
+/**
+ * Saves settings, after checking them.
+ */
+async function setSettings(settings) {
+    const merged = validateSettings({ ...(await getSettings()), ...settings });
+    await setStorageAsync({ [SETTINGS_KEY]: merged });
+    return merged;
+}
+
+/**
+ * Whether a tab's page can be saved (rules out chrome://, about:, etc., and file:/ftp: unless allowed).
+ * @param {string} url
+ * @param {Object} [settings] - From getSettings(); the defaults allow web pages only.
+ */
+function isBookmarkableUrl(url, settings = DEFAULT_SETTINGS) {
+    if (!url) return false;
+    return [...WEB_URL_SCHEMES, ...settings.extraUrlSchemes].some(scheme => url.startsWith(scheme));
+}
+
+/**
+ * Serializes every exported sync setting (see EXPORTED_SYNC_KEYS) as a JSON document.
+ * Folder IDs (default folder, slots, filing rules) only mean something in the profile they came from.
+ */
+async function exportSettingsJson() {
+    const stored = await getStorageAsync(EXPORTED_SYNC_KEYS);
+    return JSON.stringify({
+        format: SETTINGS_EXPORT_FORMAT,
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        settings: stored
+    }, null, 2);
+}
+
+/**
+ * Stores the settings from an exportSettingsJson() document. Settings missing from it are left as they are,
+ * and keys this version doesn't export are ignored.
+ * @returns {Promise<Array<string>>} - The storage keys imported.
+ * @throws {Error} If the text isn't a settings export or any setting in it is invalid (nothing is stored then).
+ */
+async function importSettingsJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Not a JSON file: ${error.message}`);
+    }
+    if (!data || data.format !== SETTINGS_EXPORT_FORMAT || !data.settings || typeof data.settings !== 'object') {
+        throw new Error("This file is not a Bookmark Manager settings export.");
+    }
+
+    const validators = getSettingValidators();
+    const values = {};
+    for (const key of EXPORTED_SYNC_KEYS) {
+        if (data.settings[key] === undefined) continue;
+        try {
+            values[key] = validators[key](data.settings[key]);
+        } catch (error) {
+            throw new Error(`Invalid '${key}': ${error.message}`);
+        }
+    }
+    await setStorageAsync(values);
+    return Object.keys(values);
+}
@@ -0,0 +1,66 @@
+// --- QUICK-SAVE SLOTS ---
+// Numbered slots bound to folders, each with its own save-to-slot-N / move-to-slot-N keyboard commands.
+// Depends on common.js.
+
+const SAVE_SLOTS_KEY = 'saveSlots'; // chrome.storage.sync: {[slot]: {folderId, name}}
+const SAVE_SLOT_COUNT = 4;          // Must match the slot commands in manifest.json
+
+/**
+ * Reads every slot, including empty ones.
+ * @returns {Promise<Array<{slot: number, name: string, folderId: string|null}>>} - Ordered by slot number.
+ */
+async function getSaveSlots() {
+    const result = await getStorageAsync([SAVE_SLOTS_KEY]);
+    const stored = result[SAVE_SLOTS_KEY] || {};
+    const slots = [];
+    for (let slot = 1; slot <= SAVE_SLOT_COUNT; slot++) {
+        const entry = stored[slot] || {};
+        slots.push({ slot, name: entry.name || `Slot ${slot}`, folderId: entry.folderId || null });
+    }
+    return slots;
+}
+
+/**
+ * Checks stored slots ({[slot]: {folderId, name}}), e.g. ones being imported.
+ * @throws {Error} If a slot number is out of range or an entry isn't {folderId, name}.
+ */
+function validateSaveSlots(stored) {
+    if (!stored || typeof stored !== 'object' || Array.isArray(stored)) throw new Error("Slots must be an object keyed by slot number.");
+    for (const [slot, entry] of Object.entries(stored)) {
+        const slotNumber = Number(slot);
+        if (!Number.isInteger(slotNumber) || slotNumber < 1 || slotNumber > SAVE_SLOT_COUNT) throw new Error(`There is no slot ${slot}.`);
+        if (!entry || typeof entry.folderId !== 'string' || !entry.folderId || typeof entry.name !== 'string') {
+            throw new Error(`Slot ${slot} needs a folder and a name.`);
+        }
+    }
+    return stored;
+}
+
+/**
+ * Reads one slot.
+ * @returns {Promise<{slot: number, name: string, folderId: string|null}>}
+ */
+async function getSaveSlot(slot) {
+    const slots = await getSaveSlots();
+    const entry = slots.find(candidate => candidate.slot === slot);
+    if (!entry) throw new Error(`There is no slot ${slot}.`);
+    return entry;
+}
+
+/**
+ * Binds a slot to a folder, or clears it when folderId is null.
+ * @param {number} slot - 1 to SAVE_SLOT_COUNT.
+ * @param {string|null} folderId
+ * @param {string} [name] - Label for the slot; defaults to "Slot N".
+ */
+async function setSaveSlot(slot, folderId, name = '') {
+    if (!Number.isInteger(slot) || slot < 1 || slot > SAVE_SLOT_COUNT) throw new Error(`There is no slot ${slot}.`);
+    const result = await getStorageAsync([SAVE_SLOTS_KEY]);
+    const stored = result[SAVE_SLOTS_KEY] || {};
+    if (folderId) {
+        stored[slot] = { folderId, name: name.trim() };
+    } else {
+        delete stored[slot];
+    }
+    await setStorageAsync({ [SAVE_SLOTS_KEY]: stored });
+}
@@ -0,0 +1,245 @@
+// --- BOOKMARK SNAPSHOTS ---
+// Named copies of the whole tree (or one folder subtree) in chrome.storage.local,
+// diffable against each other or the live tree, and restorable. Restoring runs in the background
+// ('restoreSnapshot' request, see engine.js) so it finishes if the popup closes.
+// Depends on common.js, search.js (FOLDER_PATH_SEPARATOR) and trash.js (resolveRestoreFolder).
+
+const SNAPSHOT_INDEX_KEY = 'bookmarkSnapshotIndex'; // Array of snapshot metadata, newest first
+const SNAPSHOT_KEY_PREFIX = 'bookmarkSnapshot:';    // One key per snapshot holding its nodes
+
+/**
+ * Flattens tree nodes into {id, parentId, index, title, url?, dateAdded} records, parents before children.
+ * The invisible root (ID '0') is skipped since it can never be missing.
+ */
+function flattenSnapshotNodes(nodes, records) {
+    for (const node of nodes) {
+        if (node.id !== ROOT_NODE_ID) {
+            const record = { id: node.id, parentId: node.parentId, index: node.index, title: node.title, dateAdded: node.dateAdded };
+            if (node.url) record.url = node.url;
+            records.push(record);
+        }
+        if (node.children) flattenSnapshotNodes(node.children, records);
+    }
+    return records;
+}
+
+/**
+ * Reads the current tree (or subtree) in snapshot form, without saving it.
+ * @param {string|null} rootId - Folder to capture; null captures the whole tree.
+ * @returns {Promise<{rootTitle: string, nodes: Array<Object>}>}
+ */
+async function captureBookmarkNodes(rootId = null) {
+    const treeNodes = rootId ? await getSubTreeAsync(rootId) : await getTreeAsync();
+    if (rootId && (!treeNodes[0] || treeNodes[0].url)) throw new Error("Only folders can be captured.");
+    return {
+        rootTitle: rootId ? treeNodes[0].title : 'All bookmarks',
+        nodes: flattenSnapshotNodes(treeNodes, [])
+    };
+}
+
+/**
+ * Lists saved snapshots (metadata only), newest first.
+ * @returns {Promise<Array<{id: string, name: string, rootId: string|null, rootTitle: string, createdAt: number, bookmarkCount: number, folderCount: number}>>}
+ */
+async function listSnapshots() {
+    const result = await getLocalStorageAsync([SNAPSHOT_INDEX_KEY]);
+    return result[SNAPSHOT_INDEX_KEY] || [];
+}
+
+/**
+ * Loads a saved snapshot including its nodes.
+ */
+async function getSnapshot(snapshotId) {
+    const key = SNAPSHOT_KEY_PREFIX + snapshotId;
+    const [index, result] = await Promise.all([listSnapshots(), getLocalStorageAsync([key])]);
+    const meta = index.find(snapshot => snapshot.id === snapshotId);
+    if (!meta || !result[key]) throw new Error("Snapshot not found.");
+    return { ...meta, nodes: result[key] };
+}
+
+/**
+ * Saves a named snapshot of the whole tree or one folder subtree.
+ * @param {string} name - Label shown in the snapshot list.
+ * @param {string|null} rootId - Folder to capture; null captures the whole tree.
+ * @returns {Promise<Object>} - The new snapshot's metadata.
+ */
+async function takeSnapshot(name, rootId = null) {
+    const { rootTitle, nodes } = await captureBookmarkNodes(rootId);
+    const createdAt = Date.now();
+    const bookmarkCount = nodes.filter(node => node.url).length;
+    const meta = {
+        id: `${createdAt}`,
+        name: name || new Date(createdAt).toLocaleString(),
+        rootId,
+        rootTitle,
+        createdAt,
+        bookmarkCount,
+        folderCount: nodes.length - bookmarkCount
+    };
+
+    const index = await listSnapshots();
+    await setLocalStorageAsync({
+        [SNAPSHOT_KEY_PREFIX + meta.id]: nodes,
+        [SNAPSHOT_INDEX_KEY]: [meta, ...index]
+    });
+    return meta;
+}
+
+/**
+ * Deletes a saved snapshot.
+ */
+async function deleteSnapshot(snapshotId) {
+    const index = await listSnapshots();
+    await setLocalStorageAsync({ [SNAPSHOT_INDEX_KEY]: index.filter(snapshot => snapshot.id !== snapshotId) });
+    await removeLocalStorageAsync(SNAPSHOT_KEY_PREFIX + snapshotId);
+}
+
+/**
+ * Builds a lookup of node ID -> folder path ("Bookmarks bar/Work") for the folders in a node list.
+ */
+function buildSnapshotPathMap(nodes) {
+    const byId = new Map(nodes.map(node => [node.id, node]));
+    const paths = new Map();
+    const pathOf = (folderId) => {
+        if (paths.has(folderId)) return paths.get(folderId);
+        const folder = byId.get(folderId);
+        // Parents outside the captured subtree end the path
+        const path = folder ? [pathOf(folder.parentId), folder.title].filter(Boolean).join(FOLDER_PATH_SEPARATOR) : '';
+        paths.set(folderId, path);
+        return path;
+    };
+    return pathOf;
+}
+
+/**
+ * Compares the bookmarks of two node lists (snapshots or live captures).
+ * Bookmarks are matched by ID; leftovers are then paired by URL, so a bookmark that was
+ * deleted and re-created (e.g. restored from the trash) counts as moved/retitled, not removed + added.
+ * @param {Array<Object>} fromNodes - Older state.
+ * @param {Array<Object>} toNodes - Newer state.
+ * @returns {{added: Array, removed: Array, moved: Array, retitled: Array}}
+ *          Each entry is {title, url, path} (added/removed), {title, url, fromPath, toPath} (moved)
+ *          or {url, fromTitle, toTitle, path} (retitled).
+ */
+function diffSnapshotNodes(fromNodes, toNodes) {
+    const fromPathOf = buildSnapshotPathMap(fromNodes);
+    const toPathOf = buildSnapshotPathMap(toNodes);
+    const fromBookmarks = fromNodes.filter(node => node.url);
+    const toBookmarks = new Map(toNodes.filter(node => node.url).map(node => [node.id, node]));
+
+    const pairs = [];
+    const unmatchedFrom = [];
+    for (const before of fromBookmarks) {
+        const after = toBookmarks.get(before.id);
+        if (after) {
+            pairs.push([before, after]);
+            toBookmarks.delete(before.id);
+        } else {
+            unmatchedFrom.push(before);
+        }
+    }
+
+    // Pair what's left by URL
+    const unmatchedToByUrl = new Map();
+    for (const after of toBookmarks.values()) {
+        if (!unmatchedToByUrl.has(after.url)) unmatchedToByUrl.set(after.url, []);
+        unmatchedToByUrl.get(after.url).push(after);
+    }
+    const removed = [];
+    for (const before of unmatchedFrom) {
+        const candidates = unmatchedToByUrl.get(before.url);
+        if (candidates && candidates.length > 0) {
+            pairs.push([before, candidates.shift()]);
+        } else {
+            removed.push({ title: before.title, url: before.url, path: fromPathOf(before.parentId) });
+        }
+    }
+    const added = [];
+    for (const remaining of unmatchedToByUrl.values()) {
+        for (const after of remaining) {
+            added.push({ title: after.title, url: after.url, path: toPathOf(after.parentId) });
+        }
+    }
+
+    const moved = [];
+    const retitled = [];
+    for (const [before, after] of pairs) {
+        const fromPath = fromPathOf(before.parentId);
+        const toPath = toPathOf(after.parentId);
+        if (fromPath !== toPath) moved.push({ title: after.title, url: after.url, fromPath, toPath });
+        if (before.title !== after.title) retitled.push({ url: after.url, fromTitle: before.title, toTitle: after.title, path: toPath });
+    }
+    return { added, removed, moved, retitled };
+}
+
+/**
+ * Diffs a saved snapshot against another snapshot, or against the live tree.
+ * @param {string} fromSnapshotId - Older snapshot.
+ * @param {string|null} toSnapshotId - Newer snapshot; null compares with the live tree (same scope as the snapshot).
+ */
+async function diffSnapshots(fromSnapshotId, toSnapshotId = null) {
+    const fromSnapshot = await getSnapshot(fromSnapshotId);
+    let toNodes;
+    if (toSnapshotId) {
+        toNodes = (await getSnapshot(toSnapshotId)).nodes;
+    } else {
+        try {
+            toNodes = (await captureBookmarkNodes(fromSnapshot.rootId)).nodes;
+        } catch (error) {
+            toNodes = []; // The snapshot's folder no longer exists, so everything was removed
+        }
+    }
+    return diffSnapshotNodes(fromSnapshot.nodes, toNodes);
+}
+
+/**
+ * Re-creates the items of a snapshot that no longer exist, in their original folders and order.
+ * Items still present are left alone, so restoring is safe to repeat: a missing folder is reused
+ * if one with the same title exists in the same place, and a bookmark already there is skipped.
+ * When a missing item's parent is outside the snapshot and gone too, it goes to the default folder.
+ * @returns {Promise<{foldersCreated: number, bookmarksCreated: number, skipped: number, failed: number}>}
+ */
+async function restoreSnapshot(snapshotId) {
+    const snapshot = await getSnapshot(snapshotId);
+    const liveIds = new Set(flattenSnapshotNodes(await getTreeAsync(), []).map(node => node.id));
+    const newIds = new Map(); // Snapshot ID -> ID of the re-created (or reused) node
+    const report = { foldersCreated: 0, bookmarksCreated: 0, skipped: 0, failed: 0 };
+
+    // Nodes are stored parents first, so a folder is always handled before its contents
+    for (const node of snapshot.nodes) {
+        if (liveIds.has(node.id)) continue;
+        try {
+            let parentId = newIds.get(node.parentId) || (liveIds.has(node.parentId) ? node.parentId : null);
+            if (!parentId) parentId = await resolveRestoreFolder({ parentId: node.parentId });
+            if (!parentId) throw new Error("Parent folder is gone and no default folder is set.");
+
+            const siblings = await getChildrenAsync(parentId);
+            if (node.url) {
+                if (siblings.some(sibling => sibling.url === node.url)) {
+                    report.skipped++;
+                    continue;
+                }
+            } else {
+                const existingFolder = siblings.find(sibling => !sibling.url && sibling.title === node.title);
+                if (existingFolder) {
+                    newIds.set(node.id, existingFolder.id);
+                    continue;
+                }
+            }
+
+            const created = await createBookmarkAsync({
+                parentId,
+                index: Math.min(node.index, siblings.length),
+                title: node.title,
+                url: node.url
+            });
+            newIds.set(node.id, created.id);
+            if (node.url) report.bookmarksCreated++;
+            else report.foldersCreated++;
+        } catch (error) {
+            console.error(`Error restoring '${node.title}' from snapshot:`, error.message);
+            report.failed++;
+        }
+    }
+    return report;
+}
@@ -0,0 +1,178 @@
+// --- FOLDER SORTING ---
+// Reorders a folder's children (optionally in every subfolder too) by title, domain, date added or last used.
+// The previous order is kept so the last sort can be undone. The popup only plans and previews; sorting and reverting
+// run in the background ('sortFolder' and 'revertFolderSort' requests, see engine.js) so they finish if the popup closes.
+// Depends on common.js, query.js (getUrlHost) and search.js (FOLDER_PATH_SEPARATOR).
+
+const SORT_UNDO_KEY = 'lastFolderSort'; // chrome.storage.local: {folderTitle, sortedAt, orders: {[folderId]: Array<childId>}}
+
+const SORT_BY_TITLE = 'title';
+const SORT_BY_DOMAIN = 'domain';
+const SORT_BY_DATE_ADDED = 'dateAdded';
+const SORT_BY_LAST_USED = 'dateLastUsed';
+
+// Where folders go relative to bookmarks
+const SORT_FOLDERS_FIRST = 'foldersFirst';
+const SORT_BOOKMARKS_FIRST = 'bookmarksFirst';
+const SORT_MIXED = 'mixed';
+
+const compareTitles = (a, b) => (a.title || '').localeCompare(b.title || '', undefined, { sensitivity: 'base', numeric: true });
+
+/**
+ * Comparators by sort key. Dates sort newest first; bookmarks never opened go last.
+ * Folders have no domain and are compared by title instead.
+ */
+const SORT_COMPARATORS = {
+    [SORT_BY_TITLE]: compareTitles,
+    [SORT_BY_DOMAIN]: (a, b) => (a.url ? getUrlHost(a.url) : '').localeCompare(b.url ? getUrlHost(b.url) : '') || compareTitles(a, b),
+    [SORT_BY_DATE_ADDED]: (a, b) => (b.dateAdded || 0) - (a.dateAdded || 0),
+    [SORT_BY_LAST_USED]: (a, b) => (b.dateLastUsed || 0) - (a.dateLastUsed || 0)
+};
+
+/**
+ * Sorts one folder's children. Array.prototype.sort is stable, so ties keep their current order.
+ * @param {Array<chrome.bookmarks.BookmarkTreeNode>} children
+ * @param {{by: string, reverse: boolean, group: string}} options
+ * @returns {Array<chrome.bookmarks.BookmarkTreeNode>}
+ */
+function sortFolderChildren(children, { by, reverse, group }) {
+    const compare = SORT_COMPARATORS[by];
+    const direction = reverse ? -1 : 1;
+    const groupRank = (node) => {
+        if (group === SORT_MIXED) return 0;
+        const isFolder = !node.url;
+        return (group === SORT_FOLDERS_FIRST) === isFolder ? 0 : 1;
+    };
+    return children.slice().sort((a, b) => groupRank(a) - groupRank(b) || direction * compare(a, b));
+}
+
+/**
+ * Works out the new order of a folder (and, if recursive, of each subfolder) without moving anything.
+ * @param {string} folderId
+ * @param {Object} options
+ * @param {string} options.by - One of the SORT_BY_* constants.
+ * @param {boolean} [options.reverse=false] - Reverse the order within each group.
+ * @param {string} [options.group=SORT_FOLDERS_FIRST] - One of SORT_FOLDERS_FIRST, SORT_BOOKMARKS_FIRST, SORT_MIXED.
+ * @param {boolean} [options.recursive=false] - Sort every subfolder too.
+ * @returns {Promise<{folderTitle: string, folders: Array<{folderId: string, path: string, before: Array<Object>, after: Array<Object>, changed: boolean}>}>}
+ *          One entry per folder looked at; `before` and `after` are its children in the current and sorted order.
+ */
+async function planFolderSort(folderId, { by, reverse = false, group = SORT_FOLDERS_FIRST, recursive = false }) {
+    if (!SORT_COMPARATORS[by]) throw new Error(`Unknown sort order '${by}'.`);
+    const [root] = await getSubTreeAsync(folderId);
+    if (!root || root.url) throw new Error("Only folders can be sorted.");
+
+    const folders = [];
+    const visit = (folder, path) => {
+        const before = folder.children || [];
+        const after = sortFolderChildren(before, { by, reverse, group });
+        folders.push({ folderId: folder.id, path, before, after, changed: after.some((node, index) => node.id !== before[index].id) });
+        if (!recursive) return;
+        for (const child of before) {
+            if (!child.url) visit(child, `${path}${FOLDER_PATH_SEPARATOR}${child.title}`);
+        }
+    };
+    visit(root, root.title);
+    return { folderTitle: root.title, folders };
+}
+
+/**
+ * Preview lines for a plan: each changed folder with its new order, and where each item was before.
+ * Folders are shown in [brackets].
+ */
+function describeFolderSort(plan) {
+    const changed = plan.folders.filter(folder => folder.changed);
+    if (changed.length === 0) return [`'${plan.folderTitle}' is already in this order.`];
+
+    const lines = [];
+    for (const folder of changed) {
+        lines.push(`[${folder.path}]`);
+        const oldPositions = new Map(folder.before.map((node, index) => [node.id, index]));
+        folder.after.forEach((node, index) => {
+            const oldIndex = oldPositions.get(node.id);
+            const moved = oldIndex === index ? '' : ` (was ${oldIndex + 1})`;
+            const label = node.url ? (node.title || node.url) : `[${node.title}]`;
+            lines.push(`  ${index + 1}. ${label}${moved}`);
+        });
+    }
+    const unchanged = plan.folders.length - changed.length;
+    if (unchanged > 0) lines.push(`${unchanged} folder(s) already in order.`);
+    return lines;
+}
+
+/**
+ * Moves a folder's children into the given order. Children not listed (added since) stay after the listed ones;
+ * listed ones that are gone are skipped.
+ * Items are placed from the top down, so each move is upwards and Chrome's index means what it says.
+ * @returns {Promise<number>} - Number of moves made.
+ */
+async function applyChildOrder(folderId, orderedIds) {
+    const current = (await getChildrenAsync(folderId)).map(child => child.id);
+    const wanted = orderedIds.filter(id => current.includes(id));
+    let moves = 0;
+    for (let index = 0; index < wanted.length; index++) {
+        const id = wanted[index];
+        if (current[index] === id) continue;
+        await moveBookmarkAsync(id, { parentId: folderId, index });
+        current.splice(current.indexOf(id), 1);
+        current.splice(index, 0, id);
+        moves++;
+    }
+    return moves;
+}
+
+/**
+ * Applies a plan from planFolderSort(), remembering the current order for revertLastFolderSort().
+ * @returns {Promise<{foldersSorted: number, moves: number}>}
+ */
+async function applyFolderSort(plan) {
+    const changed = plan.folders.filter(folder => folder.changed);
+    const orders = {};
+    changed.forEach(folder => { orders[folder.folderId] = folder.before.map(node => node.id); });
+    await setLocalStorageAsync({ [SORT_UNDO_KEY]: { folderTitle: plan.folderTitle, sortedAt: Date.now(), orders } });
+
+    let moves = 0;
+    for (const folder of changed) {
+        moves += await applyChildOrder(folder.folderId, folder.after.map(node => node.id));
+    }
+    return { foldersSorted: changed.length, moves };
+}
+
+/**
+ * Plans and applies a sort in one go, as the background's 'sortFolder' request.
+ * @returns {Promise<{folderTitle: string, foldersSorted: number, moves: number, lines: Array<string>}>} - `lines` as describeFolderSort().
+ */
+async function sortFolder(folderId, options) {
+    const plan = await planFolderSort(folderId, options);
+    const { foldersSorted, moves } = await applyFolderSort(plan);
+    return { folderTitle: plan.folderTitle, foldersSorted, moves, lines: describeFolderSort(plan) };
+}
+
+/**
+ * @returns {Promise<{folderTitle: string, sortedAt: number, orders: Object}|null>} - What the last sort changed, if it can be reverted.
+ */
+async function getLastFolderSort() {
+    const result = await getLocalStorageAsync([SORT_UNDO_KEY]);
+    return result[SORT_UNDO_KEY] || null;
+}
+
+/**
+ * Puts the folders changed by the last sort back in their previous order. Folders deleted since are skipped.
+ * @returns {Promise<{folderTitle: string, foldersRestored: number, moves: number}>}
+ */
+async function revertLastFolderSort() {
+    const lastSort = await getLastFolderSort();
+    if (!lastSort) throw new Error("There is no sort to revert.");
+
+    const report = { folderTitle: lastSort.folderTitle, foldersRestored: 0, moves: 0 };
+    for (const [folderId, childIds] of Object.entries(lastSort.orders)) {
+        try {
+            report.moves += await applyChildOrder(folderId, childIds);
+            report.foldersRestored++;
+        } catch (error) {
+            console.error(`Error restoring the order of folder ${folderId}:`, error.message);
+        }
+    }
+    await removeLocalStorageAsync(SORT_UNDO_KEY);
+    return report;
+}
@@ -0,0 +1,140 @@
+// --- BOOKMARK STATISTICS ---
+// Summarizes the whole bookmark tree for the dashboard page: counts per folder, top domains, folders worth
+// tidying, nesting depth, oldest/newest bookmarks and growth over time.
+// Each entry carries the search query (see query.js) that lists its bookmarks.
+// No DOM access. Depends on query.js (getUrlHost) and search.js (FOLDER_PATH_SEPARATOR).
+
+const STATS_TOP_DOMAINS = 15;
+const STATS_EXTREME_BOOKMARKS = 5; // How many oldest and newest bookmarks to list
+const STATS_MAX_MONTHLY_BARS = 60; // Longer histories are charted per year
+
+/**
+ * Quotes a search operator value when it contains spaces or quotes, doubling quotes inside (see parseSearchQuery()).
+ */
+function quoteQueryValue(value) {
+    return /[\s"]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+// "2025-03" for a timestamp, in local time like the added: operator
+function formatMonth(timestamp) {
+    const date = new Date(timestamp);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Bookmarks added per month (or per year, for long histories), with the running total.
+ * Months without additions are included so the chart's time axis is even.
+ * @returns {Array<{label: string, added: number, total: number, query: string}>}
+ */
+function computeGrowth(bookmarks) {
+    const dated = bookmarks.filter(bookmark => bookmark.dateAdded).map(bookmark => bookmark.dateAdded);
+    if (dated.length === 0) return [];
+    // A loop rather than Math.min(...dated): spreading a huge tree's dates can overflow the call stack
+    let firstTimestamp = dated[0];
+    let lastTimestamp = dated[0];
+    for (const timestamp of dated) {
+        if (timestamp < firstTimestamp) firstTimestamp = timestamp;
+        if (timestamp > lastTimestamp) lastTimestamp = timestamp;
+    }
+    const first = new Date(firstTimestamp);
+    const last = new Date(lastTimestamp);
+    const monthSpan = (last.getFullYear() - first.getFullYear()) * 12 + last.getMonth() - first.getMonth() + 1;
+    const byYear = monthSpan > STATS_MAX_MONTHLY_BARS;
+
+    const labels = [];
+    for (let date = new Date(first.getFullYear(), byYear ? 0 : first.getMonth(), 1); date <= last;
+        date = byYear ? new Date(date.getFullYear() + 1, 0, 1) : new Date(date.getFullYear(), date.getMonth() + 1, 1)) {
+        labels.push(byYear ? String(date.getFullYear()) : formatMonth(date.getTime()));
+    }
+    const counts = new Map(labels.map(label => [label, 0]));
+    for (const timestamp of dated) {
+        const label = byYear ? String(new Date(timestamp).getFullYear()) : formatMonth(timestamp);
+        counts.set(label, counts.get(label) + 1);
+    }
+
+    let total = 0;
+    return labels.map(label => {
+        total += counts.get(label);
+        return { label, added: counts.get(label), total, query: `added:${label}` };
+    });
+}
+
+/**
+ * Computes the dashboard statistics from chrome.bookmarks.getTree() nodes.
+ * @param {Array<chrome.bookmarks.BookmarkTreeNode>} treeNodes
+ * @returns {{
+ *   totals: {bookmarks: number, folders: number},
+ *   folders: Array<{id: string, path: string, depth: number, bookmarks: number, folders: number, query: string}>,
+ *   topDomains: Array<{domain: string, count: number, query: string}>,
+ *   emptyFolders: Array<{id: string, path: string}>,
+ *   singleItemFolders: Array<{id: string, path: string, query: string}>,
+ *   deepest: {depth: number, paths: Array<string>},
+ *   oldest: Array<Object>, newest: Array<Object>,
+ *   growth: Array<{label: string, added: number, total: number, query: string}>
+ * }}
+ *   Folder counts include everything below the folder; depth 0 is a top-level folder such as Bookmarks bar.
+ *   Built-in top-level folders are never listed as empty or single-item, since they can't be removed.
+ */
+function computeBookmarkStats(treeNodes) {
+    const stats = {
+        totals: { bookmarks: 0, folders: 0 },
+        folders: [],
+        topDomains: [],
+        emptyFolders: [],
+        singleItemFolders: [],
+        deepest: { depth: -1, paths: [] },
+        oldest: [],
+        newest: [],
+        growth: []
+    };
+    const bookmarks = [];
+    const domainCounts = new Map();
+
+    // Returns the number of bookmarks and folders below a folder
+    const visitFolder = (folder, parentPath, depth) => {
+        const path = parentPath ? `${parentPath}${FOLDER_PATH_SEPARATOR}${folder.title}` : folder.title;
+        const entry = { id: folder.id, path, depth, bookmarks: 0, folders: 0, query: `folder:${quoteQueryValue(path)}` };
+        stats.folders.push(entry);
+        stats.totals.folders++;
+
+        for (const child of folder.children || []) {
+            if (child.url) {
+                entry.bookmarks++;
+                bookmarks.push({ id: child.id, title: child.title || child.url, url: child.url, dateAdded: child.dateAdded, folderPath: path });
+                const domain = getUrlHost(child.url);
+                if (domain) domainCounts.set(domain, (domainCounts.get(domain) || 0) + 1);
+            } else {
+                const below = visitFolder(child, path, depth + 1);
+                entry.bookmarks += below.bookmarks;
+                entry.folders += 1 + below.folders;
+            }
+        }
+
+        const isBuiltIn = depth === 0;
+        const childCount = (folder.children || []).length;
+        if (!isBuiltIn && childCount === 0) stats.emptyFolders.push({ id: folder.id, path });
+        if (!isBuiltIn && childCount === 1) stats.singleItemFolders.push({ id: folder.id, path, query: entry.query });
+        if (depth > stats.deepest.depth) stats.deepest = { depth, paths: [path] };
+        else if (depth === stats.deepest.depth) stats.deepest.paths.push(path);
+        return entry;
+    };
+
+    // The invisible root node holds the top-level folders
+    for (const root of treeNodes) {
+        for (const topLevel of root.children || []) {
+            if (!topLevel.url) visitFolder(topLevel, '', 0);
+        }
+    }
+
+    stats.totals.bookmarks = bookmarks.length;
+    stats.topDomains = [...domainCounts]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, STATS_TOP_DOMAINS)
+        .map(([domain, count]) => ({ domain, count, query: `site:${domain}` }));
+
+    const byDate = bookmarks.filter(bookmark => bookmark.dateAdded).sort((a, b) => a.dateAdded - b.dateAdded);
+    stats.oldest = byDate.slice(0, STATS_EXTREME_BOOKMARKS);
+    stats.newest = byDate.slice(-STATS_EXTREME_BOOKMARKS).reverse();
+    stats.growth = computeGrowth(bookmarks);
+    return stats;
+}
@@ -0,0 +1,100 @@
+// --- TAGS ---
+// Chrome gives each bookmark a single folder; tags let one bookmark belong to several topics without copies.
+// Tags are kept per bookmark ID in chrome.storage.local. Moving a bookmark keeps its ID, so its tags follow it;
+// the background drops the tags of removed bookmarks, and the trash keeps them so a restore brings them back.
+// Only the background service worker changes the tags, on the queue notes share (see annotations.js);
+// pages read them with getTagMap() and send 'addTags' or 'removeTags' requests (see engine.js).
+// Shared by the popup and the background service worker. Depends on common.js, search.js and annotations.js.
+
+const TAGS_KEY = 'bookmarkTags'; // chrome.storage.local: {[bookmarkId]: Array<string>}, sorted, never empty
+
+/**
+ * Tags are lowercase without spaces, so "Read Later" and "#read-later" are the same tag.
+ */
+function normalizeTag(tag) {
+    return String(tag).trim().replace(/^#+/, '').replace(/\s+/g, '-').toLowerCase();
+}
+
+/**
+ * Splits comma-separated input ("work, read later") into distinct normalized tags.
+ * @returns {Array<string>}
+ */
+function parseTagList(text) {
+    const tags = (text || '').split(',').map(normalizeTag).filter(Boolean);
+    return [...new Set(tags)];
+}
+
+/**
+ * @returns {Promise<Object<string, Array<string>>>} - Bookmark ID -> tags.
+ */
+function getTagMap() {
+    return getAnnotationMap(TAGS_KEY);
+}
+
+// Stores a bookmark's tags in the map, or drops its entry when none are left; returns whether anything changed
+function applyTags(tagMap, bookmarkId, tags) {
+    const previous = tagMap[bookmarkId] || [];
+    const next = [...new Set(tags)].sort();
+    if (previous.join(',') === next.join(',')) return false;
+    if (next.length > 0) tagMap[bookmarkId] = next;
+    else delete tagMap[bookmarkId];
+    return true;
+}
+
+/**
+ * Replaces a bookmark's tags; an empty list removes them all.
+ */
+function setBookmarkTags(bookmarkId, tags) {
+    return updateAnnotationMap(TAGS_KEY, tagMap => applyTags(tagMap, bookmarkId, tags.map(normalizeTag).filter(Boolean)));
+}
+
+/**
+ * Adds each bookmark's own tags, all in one write.
+ * @param {Object<string, Array<string>>} tagsById - Bookmark ID -> tags to add.
+ * @returns {Promise<number>} - How many bookmarks gained a tag.
+ */
+function addTagsByBookmark(tagsById) {
+    return updateAnnotationMap(TAGS_KEY, tagMap => Object.entries(tagsById)
+        .filter(([bookmarkId, tags]) => applyTags(tagMap, bookmarkId, [...(tagMap[bookmarkId] || []), ...tags.map(normalizeTag).filter(Boolean)]))
+        .length);
+}
+
+/**
+ * Adds the same tags to several bookmarks in one write.
+ * @returns {Promise<number>} - How many bookmarks gained a tag.
+ */
+function addBookmarkTags(bookmarkIds, tags) {
+    return addTagsByBookmark(Object.fromEntries(bookmarkIds.map(bookmarkId => [bookmarkId, tags])));
+}
+
+/**
+ * Removes tags from several bookmarks in one write.
+ * @returns {Promise<number>} - How many bookmarks lost a tag.
+ */
+function removeBookmarkTags(bookmarkIds, tags) {
+    const removed = tags.map(normalizeTag);
+    return updateAnnotationMap(TAGS_KEY, tagMap => bookmarkIds
+        .filter(bookmarkId => applyTags(tagMap, bookmarkId, (tagMap[bookmarkId] || []).filter(tag => !removed.includes(tag))))
+        .length);
+}
+
+/**
+ * Drops the tags of bookmarks that are no longer in the tree, e.g. everything inside a deleted folder.
+ * @returns {Promise<number>} - How many bookmarks' tags were dropped.
+ */
+function pruneBookmarkTags() {
+    return pruneAnnotationMap(TAGS_KEY);
+}
+
+/**
+ * Every tag in use with the number of bookmarks carrying it, most used first.
+ * @returns {Array<{tag: string, count: number}>}
+ */
+function countTags(tagMap) {
+    const counts = new Map();
+    for (const tags of Object.values(tagMap)) {
+        tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    }
+    return [...counts].map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
@@ -0,0 +1,220 @@
+// --- TITLE RULES ---
+// Cleans up page titles when bookmarks are saved ("(3) Inbox – Gmail" -> "Inbox") and formats them with a
+// template such as "{title} — {domain}" or "{date} {title}", with per-domain templates overriding the default.
+// The same rules can be applied to the bookmarks already in a folder, after a preview; the renaming runs in the
+// background ('cleanUpTitles' request, see engine.js) so it finishes if the popup closes.
+// No DOM access. Depends on common.js and query.js (getUrlHost).
+
+const TITLE_RULES_KEY = 'titleRules'; // chrome.storage.sync
+
+// What a template can contain; {title} is the cleaned-up title, {rawTitle} the page title as it was
+const TITLE_PLACEHOLDERS = ['title', 'rawTitle', 'domain', 'date', 'url'];
+
+const DEFAULT_TITLE_RULES = {
+    stripCounters: true,   // "(3) Inbox" -> "Inbox", also "(99+)" and "[2]"
+    stripSiteName: true,   // "Some Page | GitHub" -> "Some Page" on github.com
+    suffixes: ['Gmail'],   // Other trailing segments to strip, matched case-insensitively
+    template: '{title}',
+    overrides: []          // Array<{domain, template}>, for the domain and its subdomains
+};
+
+const TITLE_COUNTER_PATTERN = /^\s*[([]\d+\+?[)\]]\s*/;
+// Greedy first group, so the title splits at its last separator: " | ", " - ", " – ", " — ", " · ", " • " or " :: "
+const TITLE_SUFFIX_PATTERN = /^(.+)\s+(?:[|\-–—·•]|::)\s+(.+?)\s*$/;
+
+async function getTitleRules() {
+    const result = await getStorageAsync([TITLE_RULES_KEY]);
+    return { ...DEFAULT_TITLE_RULES, ...(result[TITLE_RULES_KEY] || {}) };
+}
+
+/**
+ * Checks a template's placeholders.
+ * @throws {Error} If it uses one not in TITLE_PLACEHOLDERS.
+ */
+function validateTitleTemplate(template) {
+    for (const [, name] of template.matchAll(/\{(\w*)\}/g)) {
+        if (!TITLE_PLACEHOLDERS.includes(name)) {
+            throw new Error(`Unknown placeholder {${name}} in '${template}'. Use ${TITLE_PLACEHOLDERS.map(p => `{${p}}`).join(', ')}.`);
+        }
+    }
+}
+
+/**
+ * Checks title rules merged over the defaults and tidies them up: blank suffixes and overrides are dropped.
+ * @throws {Error} If a field has the wrong type, a template uses an unknown placeholder or an override is half filled in.
+ */
+function validateTitleRules(rules) {
+    const merged = { ...DEFAULT_TITLE_RULES, ...rules };
+    for (const field of ['stripCounters', 'stripSiteName']) {
+        if (typeof merged[field] !== 'boolean') throw new Error(`'${field}' must be true or false.`);
+    }
+    if (typeof merged.template !== 'string') throw new Error("The template must be text.");
+    if (!Array.isArray(merged.suffixes) || merged.suffixes.some(suffix => typeof suffix !== 'string')) {
+        throw new Error("Endings to remove must be a list of text.");
+    }
+    if (!Array.isArray(merged.overrides) || merged.overrides.some(override => !override
+        || typeof override.domain !== 'string' || typeof override.template !== 'string')) {
+        throw new Error("Site templates must be a list of {domain, template}.");
+    }
+    merged.template = merged.template.trim() || DEFAULT_TITLE_RULES.template;
+    merged.suffixes = merged.suffixes.map(suffix => suffix.trim()).filter(Boolean);
+    merged.overrides = merged.overrides
+        .map(override => ({ domain: override.domain.trim().toLowerCase().replace(/^www\./, ''), template: override.template.trim() }))
+        .filter(override => override.domain || override.template);
+    validateTitleTemplate(merged.template);
+    for (const override of merged.overrides) {
+        if (!override.domain) throw new Error(`Template '${override.template}' needs a domain.`);
+        if (!override.template) throw new Error(`The override for ${override.domain} needs a template.`);
+        validateTitleTemplate(override.template);
+    }
+    return merged;
+}
+
+/**
+ * Saves title rules, after checking them (see validateTitleRules()).
+ */
+async function setTitleRules(rules) {
+    const merged = validateTitleRules(rules);
+    await setStorageAsync({ [TITLE_RULES_KEY]: merged });
+    return merged;
+}
+
+/**
+ * The template for a host: the override with the longest matching domain, else the default template.
+ */
+function findTitleTemplate(rules, host) {
+    const matching = rules.overrides
+        .filter(override => host === override.domain || host.endsWith(`.${override.domain}`))
+        .sort((a, b) => b.domain.length - a.domain.length);
+    return matching.length > 0 ? matching[0].template : rules.template;
+}
+
+/**
+ * The name a site goes by in its domain: "github" for github.com, "bbc" for www.bbc.co.uk.
+ */
+function getSiteName(host) {
+    const labels = host.split('.');
+    if (labels.length < 2) return host;
+    // Country domains like co.uk and com.au have a short second-level label
+    const hasShortSecondLevel = labels.length > 2 && labels[labels.length - 1].length === 2 && labels[labels.length - 2].length <= 3;
+    return labels[labels.length - (hasShortSecondLevel ? 3 : 2)];
+}
+
+// "Stack Overflow" -> "stackoverflow", for comparing with getSiteName()
+const compactTitleText = (text) => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Strips notification counters and known trailing segments (the site's name, configured suffixes) from a title.
+ * Never strips a title down to nothing.
+ */
+function cleanPageTitle(title, url, rules) {
+    let cleaned = (title || '').trim();
+    if (rules.stripCounters) cleaned = cleaned.replace(TITLE_COUNTER_PATTERN, '');
+
+    const siteName = rules.stripSiteName ? getSiteName(getUrlHost(url)) : '';
+    const suffixes = rules.suffixes.map(suffix => suffix.toLowerCase());
+    let match;
+    while ((match = cleaned.match(TITLE_SUFFIX_PATTERN))) {
+        const segment = match[2];
+        const isSiteName = siteName && compactTitleText(segment) === siteName;
+        if (!isSiteName && !suffixes.includes(segment.toLowerCase())) break;
+        cleaned = match[1].trim();
+    }
+    return cleaned;
+}
+
+// "2025-03-14", in local time
+function formatTitleDate(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * The title a bookmark is saved with: the cleaned-up title put through the URL's template.
+ * @param {string} title - Page title as the tab (or the bookmark) has it.
+ * @param {string} url
+ * @param {Object} rules - From getTitleRules().
+ * @param {Object} [options]
+ * @param {number} [options.date=Date.now()] - Fills {date}.
+ * @param {boolean} [options.useTemplate=true] - False only cleans up the title.
+ * @returns {string} - Never empty; falls back to the URL.
+ */
+function formatBookmarkTitle(title, url, rules, { date = Date.now(), useTemplate = true } = {}) {
+    const cleaned = cleanPageTitle(title, url, rules) || (title || '').trim();
+    if (!useTemplate) return cleaned || url;
+
+    const host = getUrlHost(url);
+    const values = { title: cleaned, rawTitle: (title || '').trim(), domain: host, date: formatTitleDate(date), url };
+    const formatted = findTitleTemplate(rules, host)
+        .replace(/\{(\w+)\}/g, (placeholder, name) => (name in values ? values[name] : placeholder))
+        .replace(/\s+/g, ' ')
+        .trim();
+    return formatted || url;
+}
+
+/**
+ * Works out the new title of every bookmark in a folder without changing anything.
+ * @param {string} folderId
+ * @param {Object} [options]
+ * @param {boolean} [options.recursive=false] - Include subfolders.
+ * @param {boolean} [options.useTemplates=false] - Apply templates too. Off by default: a title that already
+ *        went through a template would get it a second time ("Page — github.com — github.com").
+ * @returns {Promise<{folderTitle: string, checked: number, changes: Array<{id: string, url: string, before: string, after: string}>}>}
+ */
+async function planTitleCleanup(folderId, { recursive = false, useTemplates = false } = {}) {
+    const [root] = await getSubTreeAsync(folderId);
+    if (!root || root.url) throw new Error("Pick a folder to clean up.");
+    const rules = await getTitleRules();
+
+    const plan = { folderTitle: root.title, checked: 0, changes: [] };
+    const visit = (folder) => {
+        for (const child of folder.children || []) {
+            if (!child.url) {
+                if (recursive) visit(child);
+                continue;
+            }
+            plan.checked++;
+            const after = formatBookmarkTitle(child.title, child.url, rules, { date: child.dateAdded, useTemplate: useTemplates });
+            if (after !== child.title) plan.changes.push({ id: child.id, url: child.url, before: child.title, after });
+        }
+    };
+    visit(root);
+    return plan;
+}
+
+/**
+ * Preview lines for a plan from planTitleCleanup().
+ */
+function describeTitleCleanup(plan) {
+    if (plan.changes.length === 0) return [`All ${plan.checked} title(s) in '${plan.folderTitle}' already follow the rules.`];
+    const lines = plan.changes.map(change => `${change.before || '(untitled)'}\n  → ${change.after}`);
+    lines.push(`${plan.changes.length} of ${plan.checked} title(s) would change.`);
+    return lines;
+}
+
+/**
+ * Renames the bookmarks in a plan. Bookmarks deleted since the preview are counted as failed.
+ * @returns {Promise<{renamed: number, failed: number}>}
+ */
+async function applyTitleCleanup(plan) {
+    const result = { renamed: 0, failed: 0 };
+    for (const change of plan.changes) {
+        try {
+            await updateBookmarkAsync(change.id, { title: change.after });
+            result.renamed++;
+        } catch (error) {
+            console.error(`Error renaming '${change.before}':`, error.message);
+            result.failed++;
+        }
+    }
+    return result;
+}
+
+/**
+ * Plans and applies a cleanup in one go, as the background's 'cleanUpTitles' request.
+ * @returns {Promise<{renamed: number, failed: number}>}
+ */
+async function cleanUpFolderTitles(folderId, options) {
+    return applyTitleCleanup(await planTitleCleanup(folderId, options));
+}
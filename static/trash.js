@@ -0,0 +1,234 @@
+// --- TRASH BIN ---
+// Deleted bookmarks are recorded in chrome.storage.local before being removed,
+// so every delete path (popup, search results, keyboard shortcut) is recoverable.
+// Entries keep the bookmark's tags and note, which go back on with it. Depends on common.js, tags.js and notes.js.
+// Only the background service worker changes the trash, one task at a time (see queueTrashTask());
+// pages only read it with getTrash() and send 'delete', 'restoreTrash', 'purgeTrash', 'emptyTrash' or
+// 'purgeExpiredTrash' requests (see engine.js).
+
+const TRASH_KEY = 'trashedBookmarks'; // chrome.storage.local: Array of trash entries
+const TRASH_RETENTION_KEY = 'trashRetentionDays'; // chrome.storage.sync: number of days, 0 = keep forever
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reads the trash bin, newest deletions first.
+ * @returns {Promise<Array<{trashId: string, id: string, title: string, url: string, parentId: string, index: number, dateAdded: number, deletedAt: number, tags?: Array<string>, note?: string}>>}
+ */
+async function getTrash() {
+    const result = await getLocalStorageAsync([TRASH_KEY]);
+    const trash = result[TRASH_KEY] || [];
+    return trash.sort((a, b) => b.deletedAt - a.deletedAt);
+}
+
+async function setTrash(trash) {
+    await setLocalStorageAsync({ [TRASH_KEY]: trash });
+}
+
+// Every change reads the whole list and writes it back, so changes run one after another
+let trashQueue = Promise.resolve();
+
+/**
+ * Runs a task that changes the trash once the ones queued before it have finished.
+ * @returns {Promise<*>} - The task's result.
+ */
+function queueTrashTask(task) {
+    const run = trashQueue.then(task);
+    trashQueue = run.catch(() => {}); // A failed task doesn't hold up the next one
+    return run;
+}
+
+/**
+ * Moves bookmarks to the trash: records the whole batch, then removes the bookmarks from the tree.
+ * Folders are rejected; only bookmarks (nodes with a URL) can be trashed.
+ * @param {Array<string>} bookmarkIds - IDs of the bookmarks to delete.
+ * @returns {Promise<{trashed: Array<Object>, errors: Array<{id: string, message: string}>}>}
+ */
+function trashBookmarks(bookmarkIds) {
+    return queueTrashTask(async () => {
+        const [trash, tagMap, noteMap] = await Promise.all([getTrash(), getTagMap(), getNoteMap()]);
+        const entries = [];
+        const errors = [];
+        const recordError = (bookmarkId, error) => {
+            console.error(`Error trashing bookmark ${bookmarkId}:`, error.message);
+            errors.push({ id: bookmarkId, message: error.message });
+        };
+
+        for (const bookmarkId of bookmarkIds) {
+            try {
+                const [bookmark] = await getBookmarkAsync(bookmarkId);
+                if (!bookmark.url) {
+                    throw new Error(`'${bookmark.title}' is a folder and cannot be trashed.`);
+                }
+                const deletedAt = Date.now();
+                const entry = {
+                    trashId: `${bookmark.id}-${deletedAt}`,
+                    id: bookmark.id,
+                    title: bookmark.title,
+                    url: bookmark.url,
+                    parentId: bookmark.parentId,
+                    index: bookmark.index,
+                    dateAdded: bookmark.dateAdded,
+                    deletedAt: deletedAt
+                };
+                if (tagMap[bookmark.id]) entry.tags = tagMap[bookmark.id];
+                if (noteMap[bookmark.id]) entry.note = noteMap[bookmark.id];
+                entries.push(entry);
+            } catch (error) {
+                recordError(bookmarkId, error);
+            }
+        }
+        if (entries.length === 0) return { trashed: [], errors };
+
+        // Recorded before any bookmark goes, so a batch cut short never loses one; one write per batch, not per bookmark
+        await setTrash([...trash, ...entries]);
+        const trashed = [];
+        for (const entry of entries) {
+            try {
+                await removeBookmarkAsync(entry.id);
+                trashed.push(entry);
+            } catch (error) {
+                recordError(entry.id, error);
+            }
+        }
+        if (trashed.length < entries.length) await setTrash([...trash, ...trashed]); // Bookmarks still in the tree leave the trash
+        return { trashed, errors };
+    });
+}
+
+/**
+ * Resolves the folder a trashed bookmark should go back into:
+ * its original parent if it still exists, otherwise the default folder.
+ * @returns {Promise<string|null>} - Folder ID, or null if neither exists.
+ */
+async function resolveRestoreFolder(entry) {
+    const candidates = [entry.parentId];
+    const storageResult = await getStorageAsync(['defaultFolderId']);
+    if (storageResult.defaultFolderId) candidates.push(storageResult.defaultFolderId);
+
+    for (const folderId of candidates) {
+        try {
+            const [folder] = await getBookmarkAsync(folderId);
+            if (folder && !folder.url) return folder.id;
+        } catch (error) {
+            // Folder no longer exists, try the next candidate
+        }
+    }
+    return null;
+}
+
+/**
+ * Restores trashed bookmarks to their original folder and position,
+ * falling back to the default folder when the original is gone.
+ * @param {Array<string>} trashIds - Trash entries to restore.
+ * @returns {Promise<{restored: number, movedToDefault: number, failed: number}>}
+ */
+function restoreFromTrash(trashIds) {
+    return queueTrashTask(() => restoreTrashEntries(trashIds));
+}
+
+async function restoreTrashEntries(trashIds) {
+    const trash = await getTrash();
+    const wanted = new Set(trashIds);
+    const remaining = [];
+    let restored = 0;
+    let movedToDefault = 0;
+    let failed = 0;
+
+    for (const entry of trash) {
+        if (!wanted.has(entry.trashId)) {
+            remaining.push(entry);
+            continue;
+        }
+        try {
+            const folderId = await resolveRestoreFolder(entry);
+            if (!folderId) {
+                throw new Error("Original folder was deleted and no default folder is set.");
+            }
+            const bookmark = { parentId: folderId, title: entry.title, url: entry.url };
+            if (folderId === entry.parentId) {
+                // Clamp the index, siblings may have been removed since
+                const siblings = await getChildrenAsync(folderId);
+                bookmark.index = Math.min(entry.index, siblings.length);
+            } else {
+                movedToDefault++;
+            }
+            const created = await createBookmarkAsync(bookmark);
+            if (entry.tags) await setBookmarkTags(created.id, entry.tags);
+            if (entry.note) await setBookmarkNote(created.id, entry.note);
+            restored++;
+        } catch (error) {
+            console.error(`Error restoring '${entry.title}' from trash:`, error.message);
+            remaining.push(entry); // Keep it in the trash so nothing is lost
+            failed++;
+        }
+    }
+
+    await setTrash(remaining);
+    return { restored, movedToDefault, failed };
+}
+
+/**
+ * Permanently removes entries from the trash.
+ * @param {Array<string>} trashIds - Trash entries to purge.
+ * @returns {Promise<number>} - Number of entries purged.
+ */
+function purgeFromTrash(trashIds) {
+    const wanted = new Set(trashIds);
+    return queueTrashTask(async () => {
+        const trash = await getTrash();
+        const remaining = trash.filter(entry => !wanted.has(entry.trashId));
+        await setTrash(remaining);
+        return trash.length - remaining.length;
+    });
+}
+
+/**
+ * Permanently removes everything in the trash.
+ * @returns {Promise<number>} - Number of entries purged.
+ */
+function emptyTrash() {
+    return queueTrashTask(async () => {
+        const trash = await getTrash();
+        await setTrash([]);
+        return trash.length;
+    });
+}
+
+async function getTrashRetentionDays() {
+    const result = await getStorageAsync([TRASH_RETENTION_KEY]);
+    const days = result[TRASH_RETENTION_KEY];
+    return Number.isInteger(days) && days >= 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * @throws {Error} If days isn't a whole number of at least 0.
+ */
+function validateTrashRetentionDays(days) {
+    if (!Number.isInteger(days) || days < 0) throw new Error("Retention must be a whole number of days (0 = forever).");
+    return days;
+}
+
+async function setTrashRetentionDays(days) {
+    await setStorageAsync({ [TRASH_RETENTION_KEY]: validateTrashRetentionDays(days) });
+}
+
+/**
+ * Drops trash entries older than the configured retention period.
+ * @returns {Promise<number>} - Number of entries purged.
+ */
+function purgeExpiredTrash() {
+    return queueTrashTask(async () => {
+        const retentionDays = await getTrashRetentionDays();
+        if (retentionDays === 0) return 0; // Keep forever
+
+        const cutoff = Date.now() - retentionDays * DAY_MS;
+        const trash = await getTrash();
+        const remaining = trash.filter(entry => entry.deletedAt >= cutoff);
+        if (remaining.length !== trash.length) {
+            await setTrash(remaining);
+            console.log(`Purged ${trash.length - remaining.length} expired trash entries.`);
+        }
+        return trash.length - remaining.length;
+    });
+}